@@ -0,0 +1,105 @@
+// Service worker: keeps the app shell and map tiles available offline.
+// Routing and geocoding requests always go to the network.
+
+// Both filled in by the build (precacheAssets in vite.config.js): the hashed JS/CSS bundles
+// the shell can't start without, and an id that changes whenever they do
+const BUILD_ID = 'dev';
+const BUILD_ASSETS = [];
+
+const SHELL_CACHE = `drivetimer-shell-${BUILD_ID}`;
+const TILE_CACHE = 'drivetimer-tiles-v1';
+const MAX_TILES = 2000;
+
+const SHELL_URLS = ['./', './index.html', './manifest.json', './bg.png', './icon-192.png', './icon-512.png', ...BUILD_ASSETS];
+const TILE_HOST = /^https:\/\/[abc]\.tile\.openstreetmap\.org\//;
+// Third-party assets the shell needs (Leaflet CSS, fonts)
+const STATIC_HOSTS = ['unpkg.com', 'fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com'];
+
+// Leaflet spreads tiles over a/b/c subdomains; store them under one key
+const tileKey = (url) => url.replace(TILE_HOST, 'https://tile.openstreetmap.org/');
+
+const trimCache = async (cacheName, maxEntries) => {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+};
+
+const cacheTile = async (url) => {
+  const cache = await caches.open(TILE_CACHE);
+  const key = tileKey(url);
+  const hit = await cache.match(key);
+  if (hit) return hit;
+  const response = await fetch(url);
+  if (response.ok) await cache.put(key, response.clone());
+  return response;
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_URLS)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => ![SHELL_CACHE, TILE_CACHE].includes(key)).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (TILE_HOST.test(request.url)) {
+    event.respondWith(cacheTile(request.url).catch(() => new Response('', { status: 504 })));
+    return;
+  }
+
+  const sameOrigin = url.origin === self.location.origin;
+  if (!sameOrigin && !STATIC_HOSTS.includes(url.hostname)) return;
+
+  // Stale-while-revalidate: answer from cache, refresh in the background
+  event.respondWith(
+    caches.open(SHELL_CACHE).then(async (cache) => {
+      const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+      const network = fetch(request)
+        .then((response) => {
+          if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+          return response;
+        })
+        .catch(() => cached || (request.mode === 'navigate' ? cache.match('./index.html') : Response.error()));
+      return cached || network;
+    })
+  );
+});
+
+// The app posts { type: 'CACHE_TILES', urls } with the tiles along a planned route
+self.addEventListener('message', (event) => {
+  if (!event.data || event.data.type !== 'CACHE_TILES') return;
+  event.waitUntil((async () => {
+    for (const url of event.data.urls) {
+      try {
+        await cacheTile(url);
+      } catch {
+        // Skip tiles we can't fetch right now
+      }
+    }
+    await trimCache(TILE_CACHE, MAX_TILES);
+  })());
+});
+
+// Trip reminders carry the URL to open; reuse an open window when there is one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const { url } = event.notification.data || {};
+  if (!url) return;
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length > 0) {
+      const client = await windows[0].navigate(url);
+      return (client || windows[0]).focus();
+    }
+    return self.clients.openWindow(url);
+  })());
+});
@@ -0,0 +1,41 @@
+// Local stand-in for a live share endpoint.
+//   npm run share-server [-- --port 8787]
+// Accepts POSTed payloads at any path, prints them, and serves the latest one at GET /latest.
+// Point the app's live share endpoint at http://localhost:8787/ to try it.
+import http from 'node:http';
+
+const portArg = process.argv.indexOf('--port');
+const port = portArg === -1 ? 8787 : Number(process.argv[portArg + 1]);
+
+let latest = null;
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (req.method === 'GET' && req.url === '/latest') return send(res, latest ? 200 : 404, latest || { error: 'Nothing shared yet' });
+  if (req.method !== 'POST') return send(res, 405, { error: 'Method not allowed' });
+
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    try {
+      latest = JSON.parse(body);
+    } catch {
+      return send(res, 400, { error: 'Body is not JSON' });
+    }
+    const { status, remainingKm, projectedArrival, stop } = latest;
+    console.log(`[${new Date().toLocaleTimeString()}] ${status} → ${stop && stop.name}: ${remainingKm != null ? remainingKm.toFixed(2) : '?'} km left, ETA ${projectedArrival || 'unknown'}`);
+    send(res, 200, { ok: true });
+  });
+});
+
+server.listen(port, () => console.log(`Live share stand-in listening on http://localhost:${port}/`));
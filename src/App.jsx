@@ -1,8 +1,41 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { MapPin, Clock, Navigation, RotateCw, StopCircle, Play, Search, Map as MapIcon, Star, History, Settings } from 'lucide-react';
+import { MapPin, Clock, Navigation, RotateCw, StopCircle, Play, Search, Map as MapIcon, Star, History, Settings, Volume2, VolumeX, Share2, Radio, Route, Maximize } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { MapContainer, TileLayer, Polyline, Marker, useMap, useMapEvents } from 'react-leaflet';
 import L from 'leaflet';
+import {
+  AVOID_OPTIONS, NO_AVOIDANCE, PROVIDER_TYPES, getProvider, loadDefaultAvoid, loadProviderSettings, setDefaultAvoid, setProviderSettings,
+} from './lib/providers';
+import { calculateDepartureTime, calculateRouteRequiredSpeed, createTripEngine, validateStops } from './lib/tripEngine';
+import { convertClock, createArrivalTime, isArrivalTimeFilled, resolveArrivalTime } from './lib/arrivalTime';
+import { formatDistance, formatSpeed, formatTime } from './lib/format';
+import { getPaceStatus } from './lib/pace';
+import { createTripRecorder, loadTripLogs, logToRoute, removeTripLog, saveTripLog } from './lib/tripLog';
+import { createTripPersister, loadActiveTrip } from './lib/activeTrip';
+import { TILE_URL, prefetchRouteTiles } from './lib/tiles';
+import { DEFAULT_VOICE_SETTINGS, VERBOSITY_LEVELS, createCueListener } from './lib/voiceCues';
+import { announce } from './lib/speech';
+import { DriveTimerError, geolocationErrorType } from './lib/errors';
+import { buildSuggestions, parseCoordinates } from './lib/search';
+import { clearShareLink, createShareLink, parseShareLink } from './lib/shareLink';
+import { DEFAULT_LIVE_SHARE_SETTINGS, createLiveSharer } from './lib/liveShare';
+import { addSavedPlace, findSavedPlace, loadSavedPlaces, placeLabel, removeSavedPlace, savedPlacesError, updateSavedPlace } from './lib/savedPlaces';
+import { clearScheduleUrl, createReminderScheduler, loadSchedules, parseScheduleUrl } from './lib/schedules';
+import { DEFAULT_DRIVING_DISPLAY } from './lib/daylight';
+import { LANGUAGES, defaultClock24, defaultUnits, getLanguage, setLanguage, t } from './lib/i18n';
+import { createWakeLockHolder } from './lib/wakeLock';
+import { NO_VEHICLE, breakSecondsByLeg, breakSecondsOnLeg, exceedsRange, loadVehicle, saveVehicle } from './lib/stopBudget';
+import DeparturePlanner from './components/DeparturePlanner';
+import TripLogs from './components/TripLogs';
+import TripHistory from './components/TripHistory';
+import SavedPlaces from './components/SavedPlaces';
+import Schedules from './components/Schedules';
+import RouteOptions from './components/RouteOptions';
+import StopBudget from './components/StopBudget';
+import DrivingView from './components/DrivingView';
+import StatusBanner from './components/StatusBanner';
+import DestinationSearch from './components/DestinationSearch';
+import ArrivalTimeInput from './components/ArrivalTimeInput';
 import './App.css';
 
 // Fix for default marker icons in Leaflet
@@ -26,6 +59,41 @@ function MapUpdater({ center, bounds }) {
   return null;
 }
 
+// One-off position for the setup card; rejects with a typed DriveTimerError
+const locateUser = () => new Promise((resolve, reject) => {
+  navigator.geolocation.getCurrentPosition(
+    (pos) => resolve({ lat: pos.coords.latitude, lon: pos.coords.longitude }),
+    (err) => reject(new DriveTimerError(geolocationErrorType(err))),
+    { timeout: 15000 },
+  );
+});
+
+const describeLocation = async (pos) => {
+  try {
+    const place = await getProvider().reverse(pos);
+    return place.shortName || t('location.detected');
+  } catch {
+    return t('location.detected');
+  }
+};
+
+const sameCoords = (a, b) => a.lat === b.lat && a.lon === b.lon;
+
+const sameAvoid = (a, b) => AVOID_OPTIONS.every(({ id }) => a[id] === b[id]);
+
+// Wires a trip engine up to the trip log, reload persistence, voice cues, live sharing and
+// the screen wake lock, then starts it
+const runTrip = async (engine, { onState, onLogSaved, getVoiceSettings, getLiveShareSettings, onLiveShareError, resumeLog = null }) => {
+  const recorder = createTripRecorder({ onFinish: (log) => onLogSaved(saveTripLog(log)), resumeLog });
+  engine.subscribe(onState);
+  engine.subscribe(recorder.record);
+  engine.subscribe(createTripPersister({ engine, recorder }));
+  engine.subscribe(createCueListener({ getSettings: getVoiceSettings, announce }));
+  engine.subscribe(createLiveSharer({ getSettings: getLiveShareSettings, getTripId: () => recorder.getLog().id, onError: onLiveShareError }));
+  engine.subscribe(createWakeLockHolder());
+  await engine.start();
+};
+
 // Map Event Listener for selection
 function MapSelectionEvents({ onSelect }) {
   useMapEvents({
@@ -38,58 +106,84 @@ function MapSelectionEvents({ onSelect }) {
 }
 
 function App() {
-  const [isActive, setIsActive] = useState(false);
   const [destination, setDestination] = useState('');
   const [suggestions, setSuggestions] = useState([]);
-  const [arrivalTime, setArrivalTime] = useState({ hh: '', mm: '', ss: '', ampm: 'PM' });
+  const [arrivalTime, setArrivalTime] = useState(() => createArrivalTime(new Date(), false));
+  // Arrival entry as 24-hour clock instead of 12-hour with AM/PM
+  const [clock24, setClock24] = useState(false);
   const [currentPos, setCurrentPos] = useState({ lat: 34.0522, lon: -118.2437 }); // Default LA
   const [currentAddress, setCurrentAddress] = useState('');
   const [destCoords, setDestCoords] = useState(null);
-  const [routePolyline, setRoutePolyline] = useState([]);
 
+  // Intermediate stops before the destination: { id, name, coords, arrivalTime }
+  const [waypoints, setWaypoints] = useState([]);
+  // Latest trip engine state, null until a trip is started
+  const [trip, setTrip] = useState(null);
+  // Pre-trip countdown: { stops, departAt, duration, late }
+  const [departurePlan, setDeparturePlan] = useState(null);
+  const [departureIn, setDepartureIn] = useState(0);
+  const [bufferMinutes, setBufferMinutes] = useState('5');
+  const [tripLogs, setTripLogs] = useState([]);
+  // Route taken from a trip log or imported file: { name, route }
+  const [importedRoute, setImportedRoute] = useState(null);
+  // Compared routes for the current stops: { id, stops, avoid, options: [{ route, requiredSpeed, overRange }], selected }
+  const [routeOptions, setRouteOptions] = useState(null);
+  // Road types to avoid on this trip, and what new trips start with
+  const [avoid, setAvoid] = useState(NO_AVOIDANCE);
+  const [defaultAvoid, setDefaultAvoidState] = useState(NO_AVOIDANCE);
+  // Planned breaks ({ id, kind, minutes, leg, left }) and vehicle range, see lib/stopBudget
+  const [breaks, setBreaks] = useState([]);
+  const [vehicle, setVehicle] = useState(NO_VEHICLE);
+
+  // UI language; t() reads the active one from lib/i18n, this just re-renders on change
+  const [language, setLanguageState] = useState(getLanguage);
   // Units: 'imperial' (miles) or 'metric' (km)
   const [units, setUnits] = useState('imperial');
+  // Speed display: 'speed' (distance / time) or 'pace' (vs typical traffic)
+  const [speedMode, setSpeedMode] = useState('speed');
+  const [voiceSettings, setVoiceSettings] = useState(DEFAULT_VOICE_SETTINGS);
+  // Live ETA sharing: { enabled, endpoint }, see lib/liveShare
+  const [liveShare, setLiveShare] = useState(DEFAULT_LIVE_SHARE_SETTINGS);
+  // Last failed live share post, cleared by the next one that goes through
+  const [liveShareError, setLiveShareError] = useState(null);
+  // Full-screen driving view while tracking, and its { theme, mirrored } settings
+  const [drivingView, setDrivingView] = useState(false);
+  const [drivingDisplay, setDrivingDisplay] = useState(DEFAULT_DRIVING_DISPLAY);
 
-  const [distance, setDistance] = useState(0); // Always in km
-  const [requiredSpeed, setRequiredSpeed] = useState(0); // Always in km/h
-  const [timeLeft, setTimeLeft] = useState(0);
-  const [nextRefresh, setNextRefresh] = useState(0);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  // Typed failures from lib/errors: { type, message }
+  const [locationError, setLocationError] = useState(null);
+  const [searchError, setSearchError] = useState(null);
+  const [notice, setNotice] = useState(null);
   const [showSetupMap, setShowSetupMap] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [providerDraft, setProviderDraft] = useState(loadProviderSettings);
 
   // History State
   const [savedDestinations, setSavedDestinations] = useState([]);
+  const [showSavedPlaces, setShowSavedPlaces] = useState(false);
+  const [schedules, setSchedules] = useState([]);
   const [recentDestinations, setRecentDestinations] = useState([]);
 
-  const watchId = useRef(null);
-  const refreshTimer = useRef(null);
-  const countdownTimer = useRef(null);
+  const engineRef = useRef(null);
+  const voiceSettingsRef = useRef({ ...DEFAULT_VOICE_SETTINGS, units: 'imperial' }); // Read by the cue listener mid-trip
+  const liveShareRef = useRef(DEFAULT_LIVE_SHARE_SETTINGS); // Read by the live sharer mid-trip
+  const departureTimer = useRef(null);
   const suggestionTimeout = useRef(null);
-  const arrivalTargetRef = useRef(null); // Ref to hold target time for async callbacks
 
   // Initialize Data
   useEffect(() => {
     // 1. Get Location & Reverse Geocode
     if ("geolocation" in navigator) {
-      navigator.geolocation.getCurrentPosition(
-        async (pos) => {
-          const lat = pos.coords.latitude;
-          const lon = pos.coords.longitude;
-          setCurrentPos({ lat, lon });
-
-          try {
-            const res = await fetch(`https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lon}`);
-            const data = await res.json();
-            const addr = data.address;
-            const shortAddr = [addr.house_number, addr.road, addr.city || addr.town].filter(Boolean).join(' ');
-            setCurrentAddress(shortAddr || "Current Location Detected");
-          } catch (e) {
-            setCurrentAddress("Current Location Detected");
-          }
-        },
-        (err) => console.log("Using default location.")
-      );
+      locateUser()
+        .then(async (pos) => {
+          setCurrentPos(pos);
+          setCurrentAddress(await describeLocation(pos));
+        })
+        .catch((err) => setLocationError({ type: err.type, message: err.message }));
     }
 
     // 2. Smart Time Prepopulation (Next Hour + 5s)
@@ -99,48 +193,192 @@ function App() {
     now.setMinutes(0);
     now.setSeconds(5);
 
-    let hours = now.getHours();
-    const ampm = hours >= 12 ? 'PM' : 'AM';
-    hours = hours % 12;
-    hours = hours ? hours : 12; // the hour '0' should be '12'
-
-    setArrivalTime({
-      hh: hours.toString(),
-      mm: '00',
-      ss: '05',
-      ampm: ampm
-    });
+    // Units and clock follow the browser locale until the user picks their own
+    const storedClock24 = localStorage.getItem('driveTimer_clock24');
+    const savedClock24 = storedClock24 === null ? defaultClock24() : storedClock24 === 'true';
+    setClock24(savedClock24);
+    setArrivalTime(createArrivalTime(now, savedClock24));
 
     // 3. Load History
-    const saved = localStorage.getItem('driveTimer_saved');
     const recent = localStorage.getItem('driveTimer_recent');
     const savedUnits = localStorage.getItem('driveTimer_units');
-    if (saved) setSavedDestinations(JSON.parse(saved));
+    const savedSpeedMode = localStorage.getItem('driveTimer_speedMode');
+    const savedBuffer = localStorage.getItem('driveTimer_buffer');
+    const savedVoice = localStorage.getItem('driveTimer_voice');
+    const savedLiveShare = localStorage.getItem('driveTimer_liveShare');
+    const savedDisplay = localStorage.getItem('driveTimer_display');
+    const places = loadSavedPlaces();
+    setSavedDestinations(places);
+    const placesError = savedPlacesError();
+    if (placesError) setError(placesError);
+    setSchedules(loadSchedules());
     if (recent) setRecentDestinations(JSON.parse(recent));
-    if (savedUnits) setUnits(savedUnits);
+    setUnits(savedUnits || defaultUnits());
+    if (savedSpeedMode) setSpeedMode(savedSpeedMode);
+    if (savedBuffer) setBufferMinutes(savedBuffer);
+    if (savedVoice) setVoiceSettings({ ...DEFAULT_VOICE_SETTINGS, ...JSON.parse(savedVoice) });
+    if (savedLiveShare) setLiveShare({ ...DEFAULT_LIVE_SHARE_SETTINGS, ...JSON.parse(savedLiveShare) });
+    if (savedDisplay) setDrivingDisplay({ ...DEFAULT_DRIVING_DISPLAY, ...JSON.parse(savedDisplay) });
+    setTripLogs(loadTripLogs());
+    const storedAvoid = loadDefaultAvoid();
+    setAvoid(storedAvoid);
+    setDefaultAvoidState(storedAvoid);
+    setVehicle(loadVehicle());
+
+    // Trips started from here run before any handler below has state to work with
+    let unmounted = false;
+    const follow = (engine, resumeLog = null) => {
+      engineRef.current = engine;
+      runTrip(engine, {
+        onState: (state) => {
+          setTrip(state);
+          setCurrentPos(state.position);
+        },
+        onLogSaved: setTripLogs,
+        getVoiceSettings: () => voiceSettingsRef.current,
+        getLiveShareSettings: () => liveShareRef.current,
+        onLiveShareError: setLiveShareError,
+        resumeLog,
+      });
+    };
+
+    // 4. Resume a trip that was running before a reload
+    const activeTrip = loadActiveTrip();
+    if (activeTrip) {
+      follow(createTripEngine({
+        stops: activeTrip.stops,
+        origin: activeTrip.snapshot.position,
+        router: getProvider(),
+        avoid: activeTrip.snapshot.avoid,
+        vehicle: activeTrip.snapshot.vehicle,
+        resumeFrom: activeTrip.snapshot,
+      }), activeTrip.log);
+    }
+
+    // 5. Pre-fill the setup card from a shared trip link
+    try {
+      const shared = parseShareLink();
+      if (shared) {
+        const [finalStop] = shared.stops.slice(-1);
+        setDestination(finalStop.name);
+        setDestCoords(finalStop.coords);
+        setArrivalTime(createArrivalTime(finalStop.target, savedClock24, 'date'));
+        setWaypoints(shared.stops.slice(0, -1).map((s, i) => ({
+          id: Date.now() + i,
+          name: s.name,
+          coords: s.coords,
+          arrivalTime: createArrivalTime(s.target, savedClock24, 'date'),
+        })));
+        setUnits(shared.units);
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+    clearShareLink();
+
+    // 6. Open a recurring trip from its reminder, starting it right away if the schedule says so
+    const scheduled = parseScheduleUrl(places);
+    if (scheduled && !activeTrip) {
+      const { schedule, place, target } = scheduled;
+      setDestination(place.name);
+      setDestCoords(place.coords);
+      setArrivalTime(createArrivalTime(target, savedClock24, 'date'));
+      if (place.avoid) setAvoid(place.avoid);
+      if (schedule.autoStart && "geolocation" in navigator) {
+        navigator.geolocation.getCurrentPosition(
+          (pos) => {
+            if (unmounted) return;
+            follow(createTripEngine({
+              stops: [{ name: place.name, coords: place.coords, target }],
+              origin: { lat: pos.coords.latitude, lon: pos.coords.longitude },
+              router: getProvider(),
+              avoid: place.avoid || loadDefaultAvoid(),
+            }));
+          },
+          () => setError(t('error.scheduledLocation')),
+        );
+      }
+    }
+    clearScheduleUrl();
+
+    const updateOnline = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', updateOnline);
+    window.addEventListener('offline', updateOnline);
 
     return () => {
-      clearInterval(refreshTimer.current);
-      clearTimeout(refreshTimer.current);
-      clearInterval(countdownTimer.current);
+      unmounted = true;
+      // Only let go of the trip here: stopping it would clear the saved trip and log it as stopped
+      if (engineRef.current) engineRef.current.dispose();
+      clearInterval(departureTimer.current);
+      window.removeEventListener('online', updateOnline);
+      window.removeEventListener('offline', updateOnline);
     };
   }, []);
 
+  useEffect(() => {
+    voiceSettingsRef.current = { ...voiceSettings, units };
+  }, [voiceSettings, units]);
+
+  useEffect(() => {
+    liveShareRef.current = liveShare;
+  }, [liveShare]);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  // Remind about recurring trips when it's time to leave
+  useEffect(() => {
+    const scheduler = createReminderScheduler({
+      router: { route: (points, options) => getProvider().route(points, options) },
+      getPlaces: loadSavedPlaces,
+      getBufferSeconds: () => (parseFloat(localStorage.getItem('driveTimer_buffer') ?? '5') || 0) * 60,
+    });
+    scheduler.check();
+    const timer = setInterval(scheduler.check, 60000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Leave full screen once the trip is over, however it ended
+  const tripStatus = trip ? trip.status : null;
+  useEffect(() => {
+    if (tripStatus === 'arrived' || tripStatus === 'expired' || tripStatus === 'stopped') exitDrivingView();
+  }, [tripStatus]);
+
+  // Cache map tiles along each new route for offline use
+  const routePolyline = trip ? trip.routePolyline : null;
+  useEffect(() => {
+    if (routePolyline && routePolyline.length > 0) prefetchRouteTiles(routePolyline);
+  }, [routePolyline]);
+
   // Fetch Suggestions
   useEffect(() => {
-    if (destination.length > 3 && !destCoords) {
+    if (destination.length > 3 && !destCoords && !parseCoordinates(destination)) {
       clearTimeout(suggestionTimeout.current);
       suggestionTimeout.current = setTimeout(async () => {
         try {
-          const res = await fetch(`https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(destination)}&limit=5`);
-          const data = await res.json();
-          setSuggestions(data);
-        } catch (e) { }
+          setSuggestions(await getProvider().search(destination, { limit: 5, near: currentPos }));
+          setSearchError(null);
+        } catch (err) {
+          setSuggestions([]);
+          setSearchError(err.type ? { type: err.type, message: err.message } : null);
+        }
       }, 500);
     } else {
       setSuggestions([]);
     }
-  }, [destination, destCoords]);
+  }, [destination, destCoords, currentPos]);
+
+  const retryLocation = async () => {
+    setLocationError(null);
+    try {
+      const pos = await locateUser();
+      setCurrentPos(pos);
+      setCurrentAddress(await describeLocation(pos));
+    } catch (err) {
+      setLocationError({ type: err.type, message: err.message });
+    }
+  };
 
   const toggleUnits = () => {
     const newUnits = units === 'imperial' ? 'metric' : 'imperial';
@@ -148,20 +386,77 @@ function App() {
     localStorage.setItem('driveTimer_units', newUnits);
   };
 
-  const getDistanceDisplay = (km) => {
-    if (units === 'imperial') {
-      return (km * 0.621371).toFixed(1) + ' mi';
-    }
-    return km.toFixed(1) + ' km';
+  const toggleSpeedMode = () => {
+    const newMode = speedMode === 'speed' ? 'pace' : 'speed';
+    setSpeedMode(newMode);
+    localStorage.setItem('driveTimer_speedMode', newMode);
+  };
+
+  const toggleClock24 = () => {
+    const next = !clock24;
+    setClock24(next);
+    setArrivalTime(convertClock(arrivalTime, next));
+    setWaypoints(waypoints.map(w => ({ ...w, arrivalTime: convertClock(w.arrivalTime, next) })));
+    localStorage.setItem('driveTimer_clock24', next);
+  };
+
+  const getPaceDisplay = (pace) => {
+    if (!pace) return { val: '--', unit: t('pace.noData') };
+    const percent = Math.round(Math.abs(pace.delta) * 100);
+    if (percent === 0) return { val: '0%', unit: t('pace.same') };
+    return pace.delta > 0
+      ? { val: `+${percent}%`, unit: t('pace.faster') }
+      : { val: `-${percent}%`, unit: t('pace.slower') };
+  };
+
+  const updateVoiceSettings = (changes) => {
+    const updated = { ...voiceSettings, ...changes };
+    setVoiceSettings(updated);
+    localStorage.setItem('driveTimer_voice', JSON.stringify(updated));
+  };
+
+  const updateLiveShare = (changes) => {
+    const updated = { ...liveShare, ...changes };
+    setLiveShare(updated);
+    localStorage.setItem('driveTimer_liveShare', JSON.stringify(updated));
+  };
+
+  const changeLanguage = (id) => {
+    setLanguage(id);
+    setLanguageState(id);
+  };
+
+  const updateDrivingDisplay = (changes) => {
+    const updated = { ...drivingDisplay, ...changes };
+    setDrivingDisplay(updated);
+    localStorage.setItem('driveTimer_display', JSON.stringify(updated));
+  };
+
+  // Full screen is best effort; some browsers (iOS Safari) only allow it for video
+  const enterDrivingView = () => {
+    setDrivingView(true);
+    if (document.documentElement.requestFullscreen) document.documentElement.requestFullscreen().catch(() => {});
+  };
+
+  const exitDrivingView = () => {
+    setDrivingView(false);
+    if (document.fullscreenElement) document.exitFullscreen();
   };
 
-  const getSpeedDisplay = (kmh) => {
-    if (units === 'imperial') {
-      return { val: (kmh * 0.621371).toFixed(1), unit: 'MPH' };
+  const applyProviderSettings = () => {
+    try {
+      setProviderSettings(providerDraft);
+      setError(null);
+      setShowSettings(false);
+    } catch (err) {
+      setError(err.message);
     }
-    return { val: kmh.toFixed(1), unit: 'KM/H' };
   };
 
+  const getDistanceDisplay = (km) => formatDistance(km, units);
+
+  const getSpeedDisplay = (kmh) => formatSpeed(kmh, units);
+
   const addToRecent = (name, coords) => {
     const newItem = { name, coords, id: Date.now() };
     // Remove if duplicate name
@@ -173,117 +468,193 @@ function App() {
 
   const saveDestination = () => {
     if (!destination || !destCoords) return;
-    const newItem = { name: destination, coords: destCoords, id: Date.now() };
-    const updated = [...savedDestinations, newItem];
-    setSavedDestinations(updated);
-    localStorage.setItem('driveTimer_saved', JSON.stringify(updated));
+    try {
+      setSavedDestinations(addSavedPlace({ name: destination, coords: destCoords }));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
   };
 
   const removeSaved = (e, id) => {
     e.stopPropagation();
-    const updated = savedDestinations.filter(i => i.id !== id);
-    setSavedDestinations(updated);
-    localStorage.setItem('driveTimer_saved', JSON.stringify(updated));
+    setSavedDestinations(removeSavedPlace(id));
   };
 
   const loadHistoryItem = (item) => {
     setDestination(item.name);
     setDestCoords(item.coords);
     setShowSetupMap(false);
+    if (item.avoid) setAvoid(item.avoid);
+    // Saved places may carry a usual arrival time as 'HH:MM'
+    if (item.defaultArrival) {
+      const [hours, minutes] = item.defaultArrival.split(':').map(Number);
+      const target = new Date();
+      target.setHours(hours, minutes, 0, 0);
+      setArrivalTime(createArrivalTime(target, clock24));
+    }
   };
 
-  const handleSuggestionClick = (s) => {
-    setDestination(s.display_name);
-    setDestCoords({ lat: parseFloat(s.lat), lon: parseFloat(s.lon) });
+  const handleSuggestionClick = (item) => {
+    if (item.kind === 'coords') {
+      handleMapSelect(item.coords.lat, item.coords.lon);
+    } else if (item.place) {
+      loadHistoryItem(item.place);
+    } else {
+      setDestination(item.name);
+      setDestCoords(item.coords);
+    }
     setSuggestions([]);
   };
 
   const handleMapSelect = async (lat, lon) => {
     setDestCoords({ lat, lon });
     try {
-      const res = await fetch(`https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lon}`);
-      const data = await res.json();
-      setDestination(data.display_name || `${lat.toFixed(4)}, ${lon.toFixed(4)}`);
-    } catch (e) {
+      const place = await getProvider().reverse({ lat, lon });
+      setDestination(place.name || `${lat.toFixed(4)}, ${lon.toFixed(4)}`);
+    } catch {
       setDestination(`${lat.toFixed(4)}, ${lon.toFixed(4)}`);
     }
     setSuggestions([]);
   };
 
-  const getRouteData = async (start, end) => {
-    try {
-      const response = await fetch(`https://router.project-osrm.org/route/v1/driving/${start.lon},${start.lat};${end.lon},${end.lat}?overview=full&geometries=geojson`);
-      const data = await response.json();
-      if (data.routes && data.routes.length > 0) {
-        const route = data.routes[0];
-        setDistance(route.distance / 1000);
-        const poly = route.geometry.coordinates.map(coord => [coord[1], coord[0]]);
-        setRoutePolyline(poly);
-        return route.distance / 1000;
-      }
-      return 0;
-    } catch (err) {
-      return 0;
+  const geocode = async (query) => {
+    const coords = parseCoordinates(query);
+    if (coords) return coords;
+    const results = await getProvider().search(query, { limit: 1, near: currentPos });
+    if (results.length > 0) {
+      return results[0].coords;
     }
+    throw new Error(t('error.addressNotFound', { query }));
   };
 
-  const calculateTargetTime = () => {
-    const now = new Date();
-    let hours = parseInt(arrivalTime.hh);
-    const minutes = parseInt(arrivalTime.mm) || 0;
-    const seconds = parseInt(arrivalTime.ss) || 0;
+  const addWaypoint = () => {
+    setWaypoints([...waypoints, { id: Date.now(), name: '', coords: null, arrivalTime: { ...arrivalTime } }]);
+  };
 
-    if (arrivalTime.ampm === 'PM' && hours < 12) hours += 12;
-    if (arrivalTime.ampm === 'AM' && hours === 12) hours = 0;
+  const updateWaypoint = (id, changes) => {
+    setWaypoints(waypoints.map(w => (w.id === id ? { ...w, ...changes } : w)));
+  };
 
-    const target = new Date();
-    target.setHours(hours, minutes, seconds, 0);
+  const removeWaypoint = (id) => {
+    setWaypoints(waypoints.filter(w => w.id !== id));
+  };
 
-    // If target is in the past (e.g. it's 11:50PM and user sets 12:05AM), add a day.
-    // The previous simple check (target <= now) works for same day past, but for transition to tomorrow:
-    if (target.getTime() <= now.getTime()) {
-      target.setDate(target.getDate() + 1);
-    }
-    return target;
+  const toggleAvoid = (id) => setAvoid({ ...avoid, [id]: !avoid[id] });
+
+  const makeAvoidDefault = () => {
+    setDefaultAvoid(avoid);
+    setDefaultAvoidState(avoid);
   };
 
-  const handleStart = async () => {
-    setError(null);
-    setIsLoading(true);
-    try {
-      let finalDest = destCoords;
-      if (!finalDest) {
-        const res = await fetch(`https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(destination)}&limit=1`);
-        const data = await res.json();
-        if (data.length > 0) {
-          finalDest = { lat: parseFloat(data[0].lat), lon: parseFloat(data[0].lon) };
-          setDestCoords(finalDest);
-        } else {
-          throw new Error("Address not found.");
-        }
-      }
+  const updateVehicle = (updated) => {
+    setVehicle(updated);
+    saveVehicle(updated);
+  };
 
-      // Save to recent
-      addToRecent(destination, finalDest);
+  // Breaks for these stops; ones on a leg that has since been removed move to the last leg
+  const tripBreaks = (stops) => breaks
+    .filter(brk => brk.minutes > 0)
+    .map(brk => ({ ...brk, leg: Math.min(brk.leg, stops.length - 1) }));
 
-      const target = calculateTargetTime();
-      arrivalTargetRef.current = target; // Store in ref for async access
+  const tripVehicle = () => (vehicle.rangeKm ? vehicle : null);
 
-      const dist = await getRouteData(currentPos, finalDest);
-      // dist is handled in getRouteData, fallback is 0 if error.
-      // We allow starting even if dist is 0, user might just want the timer.
+  const updateBuffer = (value) => {
+    setBufferMinutes(value);
+    localStorage.setItem('driveTimer_buffer', value);
+  };
 
-      // Initial speed calculation
-      const now = new Date();
-      const diff = Math.max(0, (target.getTime() - now.getTime()) / 1000);
-      setTimeLeft(diff);
+  // Resolve each waypoint, then append the destination as the final stop
+  const resolveStops = async () => {
+    let finalDest = destCoords;
+    if (!finalDest) {
+      finalDest = await geocode(destination);
+      setDestCoords(finalDest);
+    }
 
-      if (diff > 0 && dist > 0) {
-        setRequiredSpeed(dist / (diff / 3600));
+    const stops = [];
+    for (const w of waypoints) {
+      if (!w.name) continue;
+      const coords = w.coords || await geocode(w.name);
+      let target;
+      try {
+        target = resolveArrivalTime(w.arrivalTime, { clock24 });
+      } catch (err) {
+        throw new Error(`${w.name.split(',')[0]}: ${err.message}`);
       }
+      stops.push({ name: w.name, coords, target });
+    }
+    stops.push({ name: destination, coords: finalDest, target: resolveArrivalTime(arrivalTime, { clock24 }) });
 
-      setIsActive(true);
-      startTracking(finalDest, target);
+    validateStops(stops);
+    return stops;
+  };
+
+  // The compared route picked by the user, as long as it still goes through these stops
+  const pickedRoute = (stops) => {
+    if (!routeOptions || routeOptions.stops.length !== stops.length || !sameAvoid(routeOptions.avoid, avoid)) return null;
+    const sameStops = routeOptions.stops.every((s, i) => sameCoords(s.coords, stops[i].coords));
+    return sameStops ? routeOptions.options[routeOptions.selected].route : null;
+  };
+
+  const beginTrip = async (stops) => {
+    // Save to recent
+    const finalStop = stops[stops.length - 1];
+    addToRecent(finalStop.name, finalStop.coords);
+    // Saved destinations remember the avoidance they were last driven with
+    const savedPlace = findSavedPlace(savedDestinations, finalStop.coords);
+    if (savedPlace) setSavedDestinations(updateSavedPlace(savedPlace.id, { avoid }));
+
+    // Follow the imported route only if it still leads to the chosen destination
+    const routeEnd = importedRoute && importedRoute.route.polyline[importedRoute.route.polyline.length - 1];
+    const followImported = stops.length === 1 && routeEnd && routeEnd[0] === finalStop.coords.lat && routeEnd[1] === finalStop.coords.lon;
+
+    const engine = createTripEngine({
+      stops,
+      origin: currentPos,
+      router: getProvider(),
+      avoid,
+      breaks: tripBreaks(stops),
+      vehicle: tripVehicle(),
+      initialRoute: pickedRoute(stops) || (followImported ? importedRoute.route : null),
+    });
+    engineRef.current = engine;
+    setLiveShareError(null);
+    await runTrip(engine, {
+      onState: (state) => {
+        setTrip(state);
+        setCurrentPos(state.position);
+      },
+      onLogSaved: setTripLogs,
+      getVoiceSettings: () => voiceSettingsRef.current,
+      getLiveShareSettings: () => liveShareRef.current,
+      onLiveShareError: setLiveShareError,
+    });
+  };
+
+  const handleImportLog = (log) => {
+    setTripLogs(saveTripLog(log));
+    setError(null);
+  };
+
+  const followLogRoute = (log) => {
+    const route = logToRoute(log);
+    if (!route) {
+      setError(t('error.noTrack'));
+      return;
+    }
+    const [lat, lon] = route.polyline[route.polyline.length - 1];
+    setImportedRoute({ name: log.name, route });
+    setDestination(log.stops[log.stops.length - 1].name);
+    setDestCoords({ lat, lon });
+    setError(null);
+  };
+
+  const handleStart = async () => {
+    setError(null);
+    setIsLoading(true);
+    try {
+      await beginTrip(await resolveStops());
     } catch (err) {
       setError(err.message);
     } finally {
@@ -291,128 +662,279 @@ function App() {
     }
   };
 
-  const startTracking = (targetCoords, arrivalTarget) => {
-    countdownTimer.current = setInterval(() => {
-      const now = new Date();
-      const diff = Math.max(0, (arrivalTarget.getTime() - now.getTime()) / 1000);
-      setTimeLeft(diff);
-      if (diff <= 0) handleStop();
-    }, 1000);
-
-    const refresh = async () => {
-      navigator.geolocation.getCurrentPosition(async (pos) => {
-        const nowPos = { lat: pos.coords.latitude, lon: pos.coords.longitude };
-        setCurrentPos(nowPos);
+  const handleShareLink = async () => {
+    setError(null);
+    setNotice(null);
+    setIsLoading(true);
+    try {
+      const url = createShareLink({ stops: await resolveStops(), units });
+      if (navigator.share) {
+        await navigator.share({ title: t('share.title'), url });
+      } else {
+        await navigator.clipboard.writeText(url);
+        setNotice(t('share.copied'));
+      }
+    } catch (err) {
+      // Closing the share sheet isn't an error
+      if (err.name !== 'AbortError') setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
 
-        const dist = await getRouteData(nowPos, targetCoords);
+  const cancelDeparture = () => {
+    clearInterval(departureTimer.current);
+    setDeparturePlan(null);
+  };
 
-        const now = new Date();
-        const remainingSeconds = (arrivalTarget.getTime() - now.getTime()) / 1000;
+  const leaveNow = async (stops) => {
+    cancelDeparture();
+    try {
+      await beginTrip(stops);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
 
-        if (remainingSeconds > 0 && dist > 0) {
-          const speedKmh = dist / (remainingSeconds / 3600);
-          setRequiredSpeed(speedKmh);
-        } else {
-          setRequiredSpeed(0);
-        }
-      });
+  const handlePlanDeparture = async () => {
+    setError(null);
+    setIsLoading(true);
+    try {
+      const stops = await resolveStops();
+      const route = pickedRoute(stops) || await getProvider().route([currentPos, ...stops.map(s => s.coords)], { avoid });
+      if (!route) throw new Error(t('error.noRoute'));
 
-      const remaining = (arrivalTarget.getTime() - new Date().getTime()) / 1000;
-      let next = 30;
-      if (remaining <= 60) next = 1;
-      else if (remaining <= 120) next = 3;
-      else if (remaining <= 300) next = 5;
+      const bufferSeconds = (parseFloat(bufferMinutes) || 0) * 60;
+      // Breaks along a leg make it take that much longer
+      const breakSeconds = breakSecondsByLeg(tripBreaks(stops), stops.length);
+      const departAt = calculateDepartureTime(stops, route.legs.map((leg, i) => leg.duration + breakSeconds[i]), bufferSeconds);
+      const late = departAt.getTime() <= Date.now();
 
-      setNextRefresh(next);
-      refreshTimer.current = setTimeout(refresh, next * 1000);
-    };
+      setDeparturePlan({ stops, departAt, duration: route.duration, late });
+      setDepartureIn(Math.max(0, (departAt.getTime() - Date.now()) / 1000));
 
-    refresh();
+      // Switch straight into tracking once it's time to leave
+      departureTimer.current = setInterval(() => {
+        const remaining = Math.max(0, (departAt.getTime() - Date.now()) / 1000);
+        setDepartureIn(remaining);
+        if (remaining <= 0 && !late) leaveNow(stops);
+      }, 1000);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
   };
 
-  const handleStop = () => {
-    setIsActive(false);
-    clearTimeout(refreshTimer.current);
-    clearInterval(countdownTimer.current);
+  const handleCompareRoutes = async () => {
+    setError(null);
+    setIsLoading(true);
+    try {
+      const stops = await resolveStops();
+      const routes = await getProvider().alternatives([currentPos, ...stops.map(s => s.coords)], { avoid });
+      if (routes.length === 0) throw new Error(t('error.noRoute'));
+      const planned = tripBreaks(stops);
+      const rangeLeft = tripVehicle() ? vehicle.rangeKm : null;
+      const options = routes.map(route => ({
+        route,
+        requiredSpeed: calculateRouteRequiredSpeed(route, stops, Date.now(), planned),
+        overRange: exceedsRange({ distanceKm: route.distance, rangeLeft, breaks: planned }),
+      }));
+      const lowest = Math.min(...options.map(o => o.requiredSpeed));
+      setRouteOptions({ id: Date.now(), stops, avoid, options, selected: options.findIndex(o => o.requiredSpeed === lowest) });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
   };
 
-  const formatTime = (seconds) => {
-    const h = Math.floor(seconds / 3600);
-    const m = Math.floor((seconds % 3600) / 60);
-    const s = Math.floor(seconds % 60);
-    return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
+  const handleStop = () => {
+    engineRef.current.stop();
+    exitDrivingView();
   };
 
   return (
     <div className="app-container">
       <AnimatePresence mode="wait">
-        {!isActive ? (
+        {departurePlan ? (
+          <motion.div key="departure" initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="glass-card tracking-view">
+            <DeparturePlanner
+              plan={departurePlan}
+              departureIn={departureIn}
+              bufferMinutes={parseFloat(bufferMinutes) || 0}
+              onLeaveNow={() => leaveNow(departurePlan.stops)}
+              onCancel={cancelDeparture}
+            />
+          </motion.div>
+        ) : showHistory && (!trip || trip.status !== 'active') ? (
+          <motion.div key="history" initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="glass-card">
+            <TripHistory
+              logs={tripLogs}
+              savedDestinations={savedDestinations}
+              units={units}
+              onBack={() => setShowHistory(false)}
+            />
+          </motion.div>
+        ) : !trip || trip.status !== 'active' ? (
           <motion.div key="setup" initial={{ opacity: 0, scale: 0.9 }} animate={{ opacity: 1, scale: 1 }} className="glass-card">
             <div style={{ position: 'relative' }}>
-              <h1>DRIVING TIMER</h1>
+              <button className="settings-btn" onClick={() => setShowSettings(!showSettings)} title={t('settings.title')}>
+                <Settings size={16} />
+              </button>
+              <h1>{t('app.title')}</h1>
               <div
                 className="unit-toggle"
                 onClick={toggleUnits}
               >
-                <div className={`unit-option ${units === 'imperial' ? 'active' : ''}`}>mi</div>
-                <div className={`unit-option ${units === 'metric' ? 'active' : ''}`}>km</div>
+                <div className={`unit-option ${units === 'imperial' ? 'active' : ''}`}>{t('units.mi')}</div>
+                <div className={`unit-option ${units === 'metric' ? 'active' : ''}`}>{t('units.km')}</div>
               </div>
             </div>
 
+            {showSettings && (
+              <div className="settings-panel">
+                <label>{t('settings.provider')}</label>
+                <div className="provider-options">
+                  {PROVIDER_TYPES.map(p => (
+                    <button
+                      key={p.id}
+                      className={`provider-btn ${providerDraft.type === p.id ? 'active' : ''}`}
+                      onClick={() => setProviderDraft({ ...providerDraft, type: p.id })}
+                    >
+                      {t(`provider.${p.id}`)}
+                    </button>
+                  ))}
+                </div>
+                {providerDraft.type !== 'mock' && (
+                  <input
+                    type="url"
+                    placeholder={PROVIDER_TYPES.find(p => p.id === providerDraft.type).urlPlaceholder}
+                    value={providerDraft.url}
+                    onChange={(e) => setProviderDraft({ ...providerDraft, url: e.target.value })}
+                  />
+                )}
+                <button className="provider-btn active" onClick={applyProviderSettings}>{t('settings.apply')}</button>
+
+                <label>{t('settings.voice')}</label>
+                <div className="provider-options">
+                  <button
+                    className={`provider-btn ${voiceSettings.enabled ? 'active' : ''}`}
+                    onClick={() => updateVoiceSettings({ enabled: !voiceSettings.enabled })}
+                  >
+                    {voiceSettings.enabled ? t('common.on') : t('common.off')}
+                  </button>
+                  <button
+                    className={`provider-btn ${voiceSettings.quiet ? 'active' : ''}`}
+                    onClick={() => updateVoiceSettings({ quiet: !voiceSettings.quiet })}
+                    title={t('settings.quietHint')}
+                  >
+                    {t('settings.quiet')}
+                  </button>
+                </div>
+                <div className="provider-options">
+                  {VERBOSITY_LEVELS.map(level => (
+                    <button
+                      key={level}
+                      className={`provider-btn ${voiceSettings.verbosity === level ? 'active' : ''}`}
+                      onClick={() => updateVoiceSettings({ verbosity: level })}
+                      disabled={!voiceSettings.enabled}
+                    >
+                      {t(`verbosity.${level}`)}
+                    </button>
+                  ))}
+                </div>
+
+                <label>{t('settings.liveShare')}</label>
+                <div className="provider-options">
+                  <button
+                    className={`provider-btn ${liveShare.enabled ? 'active' : ''}`}
+                    onClick={() => updateLiveShare({ enabled: !liveShare.enabled })}
+                    title={t('settings.liveShareHint')}
+                  >
+                    {liveShare.enabled ? t('common.on') : t('common.off')}
+                  </button>
+                </div>
+                <input
+                  type="url"
+                  placeholder={t('settings.liveShareEndpoint')}
+                  value={liveShare.endpoint}
+                  onChange={(e) => updateLiveShare({ endpoint: e.target.value })}
+                />
+
+                <label>{t('settings.language')}</label>
+                <div className="provider-options">
+                  {LANGUAGES.map(option => (
+                    <button
+                      key={option.id}
+                      className={`provider-btn ${language === option.id ? 'active' : ''}`}
+                      onClick={() => changeLanguage(option.id)}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {currentAddress && (
               <div className="current-location-display">
                 <MapPin size={12} className="icon-pulse" />
                 <span>{currentAddress}</span>
               </div>
             )}
+            {locationError && <StatusBanner error={locationError} onRetry={retryLocation} />}
 
             <div className="input-group">
               <label style={{ display: 'flex', justifyContent: 'space-between' }}>
-                <span>Destination</span>
+                <span>{t('setup.destination')}</span>
+                <button
+                  onClick={() => setShowSavedPlaces(!showSavedPlaces)}
+                  style={{ background: 'none', border: 'none', color: 'var(--primary)', cursor: 'pointer', fontSize: '0.7rem', marginLeft: 'auto', marginRight: '12px' }}
+                >
+                  <Star size={10} /> {t('setup.savedPlaces')}
+                </button>
                 <button
                   onClick={() => setShowSetupMap(!showSetupMap)}
                   style={{ background: 'none', border: 'none', color: 'var(--primary)', cursor: 'pointer', fontSize: '0.7rem' }}
                 >
-                  {showSetupMap ? 'CLOSE MAP' : 'SELECT ON MAP'}
+                  {showSetupMap ? t('setup.closeMap') : t('setup.selectOnMap')}
                 </button>
               </label>
 
               <div className="destination-row">
                 <div style={{ position: 'relative', flex: 1 }}>
-                  <div className="suggestions-container">
-                    <input
-                      type="text"
-                      placeholder="Street, City, or Zip..."
-                      value={destination}
-                      onChange={(e) => { setDestination(e.target.value); setDestCoords(null); }}
-                    />
-                    {suggestions.length > 0 && (
-                      <ul className="suggestions-list">
-                        {suggestions.map((s, i) => (
-                          <li key={i} className="suggestion-item" onClick={() => handleSuggestionClick(s)}>
-                            {s.display_name}
-                          </li>
-                        ))}
-                      </ul>
-                    )}
-                  </div>
+                  <DestinationSearch
+                    value={destination}
+                    onChange={(text) => { setDestination(text); setDestCoords(null); }}
+                    items={destCoords ? [] : buildSuggestions({
+                      query: destination,
+                      results: suggestions,
+                      saved: savedDestinations,
+                      recent: recentDestinations,
+                      near: currentPos,
+                    })}
+                    onSelect={handleSuggestionClick}
+                    units={units}
+                  />
                 </div>
                 <button
                   className="save-btn"
                   onClick={saveDestination}
-                  title="Save Destination"
+                  title={t('setup.saveDestination')}
                   disabled={!destination || !destCoords}
                 >
                   <Star size={18} />
                 </button>
               </div>
+              {searchError && <StatusBanner error={searchError} />}
 
               {(savedDestinations.length > 0 || recentDestinations.length > 0) && (
                 <div className="history-pills">
                   {savedDestinations.map(item => (
-                    <div key={item.id} className="history-pill saved" onClick={() => loadHistoryItem(item)}>
+                    <div key={item.id} className="history-pill saved" onClick={() => loadHistoryItem(item)} title={item.tags.join(', ')}>
                       <Star size={10} fill="currentColor" />
-                      <span>{item.name.split(',')[0]}</span>
+                      <span>{placeLabel(item)}</span>
                       <span className="remove-pill" onClick={(e) => removeSaved(e, item.id)}>×</span>
                     </div>
                   ))}
@@ -425,75 +947,295 @@ function App() {
                 </div>
               )}
 
+              {showSavedPlaces && (
+                <SavedPlaces
+                  places={savedDestinations}
+                  onChange={setSavedDestinations}
+                  onError={setError}
+                  onNotice={setNotice}
+                  onClose={() => setShowSavedPlaces(false)}
+                />
+              )}
+
               {showSetupMap && (
                 <>
                   <div className="setup-map">
                     <MapContainer center={[currentPos.lat, currentPos.lon]} zoom={13} zoomControl={false} attributionControl={false} style={{ height: '100%' }}>
-                      <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" />
+                      <TileLayer url={TILE_URL} />
                       <MapSelectionEvents onSelect={handleMapSelect} />
                       <MapUpdater center={[currentPos.lat, currentPos.lon]} />
                       {destCoords && <Marker position={[destCoords.lat, destCoords.lon]} />}
                     </MapContainer>
                   </div>
-                  <p className="map-hint">Tap anywhere on the map to set destination</p>
+                  <p className="map-hint">{t('setup.mapHint')}</p>
                 </>
               )}
             </div>
 
             <div className="input-group">
-              <label><Clock size={14} /> Arrival Time</label>
-              <div className="time-inputs">
-                <input type="number" placeholder="HH" value={arrivalTime.hh} onChange={(e) => setArrivalTime({ ...arrivalTime, hh: e.target.value })} />
-                <input type="number" placeholder="MM" value={arrivalTime.mm} onChange={(e) => setArrivalTime({ ...arrivalTime, mm: e.target.value })} />
-                <input type="number" placeholder="SS" value={arrivalTime.ss} onChange={(e) => setArrivalTime({ ...arrivalTime, ss: e.target.value })} />
-                <div className="ampm-toggle">
-                  <button className={`ampm-btn ${arrivalTime.ampm === 'AM' ? 'active' : ''}`} onClick={() => setArrivalTime({ ...arrivalTime, ampm: 'AM' })}>AM</button>
-                  <button className={`ampm-btn ${arrivalTime.ampm === 'PM' ? 'active' : ''}`} onClick={() => setArrivalTime({ ...arrivalTime, ampm: 'PM' })}>PM</button>
-                </div>
+              <label style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span><Clock size={14} /> {t('setup.arrivalTime')}</span>
+                <button
+                  onClick={toggleClock24}
+                  style={{ background: 'none', border: 'none', color: 'var(--primary)', cursor: 'pointer', fontSize: '0.7rem' }}
+                >
+                  {clock24 ? '24H' : '12H'}
+                </button>
+              </label>
+              <ArrivalTimeInput value={arrivalTime} onChange={setArrivalTime} clock24={clock24} />
+              <div className="buffer-row">
+                <span>{t('setup.departureBuffer')}</span>
+                <input type="number" min="0" value={bufferMinutes} onChange={(e) => updateBuffer(e.target.value)} />
+                <span>{t('common.min')}</span>
+              </div>
+            </div>
+
+            <div className="input-group">
+              <label style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span>{t('setup.avoid')}</span>
+                {!sameAvoid(avoid, defaultAvoid) && (
+                  <button
+                    onClick={makeAvoidDefault}
+                    style={{ background: 'none', border: 'none', color: 'var(--primary)', cursor: 'pointer', fontSize: '0.7rem' }}
+                  >
+                    {t('setup.makeDefault')}
+                  </button>
+                )}
+              </label>
+              <div className="provider-options">
+                {AVOID_OPTIONS.map(option => (
+                  <button
+                    key={option.id}
+                    className={`provider-btn ${avoid[option.id] ? 'active' : ''}`}
+                    onClick={() => toggleAvoid(option.id)}
+                  >
+                    {t(`avoid.${option.id}`)}
+                  </button>
+                ))}
               </div>
             </div>
 
+            <div className="input-group">
+              <label style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span><Navigation size={14} /> {t('setup.stops')}</span>
+                <button
+                  onClick={addWaypoint}
+                  style={{ background: 'none', border: 'none', color: 'var(--primary)', cursor: 'pointer', fontSize: '0.7rem' }}
+                >
+                  {t('setup.addStop')}
+                </button>
+              </label>
+              {waypoints.map((w, i) => (
+                <div key={w.id} className="waypoint-item">
+                  <div className="destination-row">
+                    <span className="waypoint-index">{i + 1}</span>
+                    <input
+                      type="text"
+                      placeholder={t('setup.stopPlaceholder')}
+                      value={w.name}
+                      onChange={(e) => updateWaypoint(w.id, { name: e.target.value, coords: null })}
+                    />
+                    <span className="remove-pill" onClick={() => removeWaypoint(w.id)}>×</span>
+                  </div>
+                  <ArrivalTimeInput
+                    value={w.arrivalTime}
+                    onChange={(value) => updateWaypoint(w.id, { arrivalTime: value })}
+                    clock24={clock24}
+                  />
+                </div>
+              ))}
+            </div>
+
+            <StopBudget
+              breaks={breaks}
+              onChange={setBreaks}
+              vehicle={vehicle}
+              onVehicleChange={updateVehicle}
+              stopNames={[...waypoints.map(w => w.name), destination]}
+              units={units}
+            />
+
+            {importedRoute && destCoords && (
+              <div className="history-pills">
+                <div className="history-pill recent">
+                  <Navigation size={10} />
+                  <span>{t('setup.followingRoute', { name: importedRoute.name.split(',')[0] })}</span>
+                  <span className="remove-pill" onClick={() => setImportedRoute(null)}>×</span>
+                </div>
+              </div>
+            )}
+
+            {routeOptions && destCoords && sameCoords(routeOptions.stops[routeOptions.stops.length - 1].coords, destCoords) && (
+              <RouteOptions
+                key={routeOptions.id}
+                options={routeOptions.options}
+                selected={routeOptions.selected}
+                onSelect={(i) => setRouteOptions({ ...routeOptions, selected: i })}
+                stops={routeOptions.stops}
+                units={units}
+              />
+            )}
+
+            <Schedules places={savedDestinations} schedules={schedules} onChange={setSchedules} onError={setError} />
+
+            <TripLogs
+              logs={tripLogs}
+              onImport={handleImportLog}
+              onUseAsRoute={followLogRoute}
+              onRemove={(id) => setTripLogs(removeTripLog(id))}
+              onError={setError}
+              onShowHistory={() => setShowHistory(true)}
+            />
+
             {error && <div style={{ color: 'var(--accent-red)', fontSize: '0.8rem' }}>{error}</div>}
+            {notice && <div style={{ color: 'var(--primary)', fontSize: '0.8rem' }}>{notice}</div>}
 
-            <button className="btn-primary" onClick={handleStart} disabled={isLoading || !destination || !arrivalTime.hh}>
-              {isLoading ? 'CALCULATING...' : 'START TRIP'}
+            <button className="btn-primary" onClick={handleStart} disabled={isLoading || !destination || !isArrivalTimeFilled(arrivalTime)}>
+              {isLoading ? t('setup.calculating') : t('setup.start')}
+            </button>
+            <button className="btn-secondary" onClick={handlePlanDeparture} disabled={isLoading || !destination || !isArrivalTimeFilled(arrivalTime)}>
+              {t('setup.whenToLeave')}
+            </button>
+            <button className="btn-secondary" onClick={handleShareLink} disabled={isLoading || !destination || !isArrivalTimeFilled(arrivalTime)}>
+              <Share2 size={14} /> {t('setup.shareLink')}
             </button>
+            <button className="btn-secondary" onClick={handleCompareRoutes} disabled={isLoading || !destination || !isArrivalTimeFilled(arrivalTime)}>
+              <Route size={14} /> {t('setup.compareRoutes')}
+            </button>
+          </motion.div>
+        ) : drivingView ? (
+          <motion.div key="driving" initial={{ opacity: 0 }} animate={{ opacity: 1 }}>
+            <DrivingView
+              trip={trip}
+              units={units}
+              display={drivingDisplay}
+              onDisplayChange={updateDrivingDisplay}
+              onExit={exitDrivingView}
+            />
           </motion.div>
         ) : (
           <motion.div key="tracking" initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="glass-card tracking-view">
-            <div className="speed-display">
-              <label>REQUIRED SPEED</label>
-              <div className="speed-value">{getSpeedDisplay(requiredSpeed).val}</div>
-              <div className="speed-unit">{getSpeedDisplay(requiredSpeed).unit}</div>
+            {trip.stops.length > 1 && (
+              <div className="leg-indicator">
+                {t('tracking.leg', { current: trip.legIndex + 1, total: trip.stops.length, name: trip.stops[trip.legIndex].name.split(',')[0] })}
+              </div>
+            )}
+            {liveShare.enabled && liveShare.endpoint && (
+              <div className="leg-indicator live-share-indicator">
+                <Radio size={12} /> {t('tracking.sharingLive')}
+              </div>
+            )}
+            {liveShare.enabled && liveShare.endpoint && liveShareError && <StatusBanner error={liveShareError} />}
+
+            <div className={`speed-display pace-${getPaceStatus(trip.actualSpeed, trip.requiredSpeed) || 'unknown'}`}>
+              <div className="unit-toggle speed-mode-toggle" onClick={toggleSpeedMode}>
+                <div className={`unit-option ${speedMode === 'speed' ? 'active' : ''}`}>{t('tracking.speed')}</div>
+                <div className={`unit-option ${speedMode === 'pace' ? 'active' : ''}`}>{t('tracking.pace')}</div>
+              </div>
+              {speedMode === 'speed' ? (
+                <>
+                  <label>{t('tracking.requiredSpeed')}{trip.estimate ? ` ${t('tracking.estimate')}` : ''}</label>
+                  <div className="speed-value">{getSpeedDisplay(trip.requiredSpeed).val}</div>
+                  <div className="speed-unit">{getSpeedDisplay(trip.requiredSpeed).unit}</div>
+                </>
+              ) : (
+                <>
+                  <label>{t('tracking.effectivePace')}</label>
+                  <div className="speed-value">{getPaceDisplay(trip.pace).val}</div>
+                  <div className="speed-unit">{getPaceDisplay(trip.pace).unit}</div>
+                </>
+              )}
+              <div className="actual-speed">
+                <span>{t('tracking.actual')} {trip.actualSpeed === null ? '--' : getSpeedDisplay(trip.actualSpeed).val} {getSpeedDisplay(0).unit}</span>
+                {trip.actualSpeed !== null && trip.requiredSpeed > 0 && (
+                  <span className="speed-delta">
+                    {trip.actualSpeed >= trip.requiredSpeed ? '+' : '-'}{getSpeedDisplay(Math.abs(trip.actualSpeed - trip.requiredSpeed)).val}
+                    {' '}{trip.actualSpeed >= trip.requiredSpeed ? t('tracking.ahead') : t('tracking.behind')}
+                  </span>
+                )}
+              </div>
             </div>
 
+            {trip.gpsError && <StatusBanner error={trip.gpsError} onRetry={() => engineRef.current.retry()} />}
+            {trip.routeError && <StatusBanner error={trip.routeError} onRetry={() => engineRef.current.retry()} />}
+
+            {trip.estimate ? (
+              <div className="route-notice">{t('tracking.noRoute')}</div>
+            ) : !isOnline && (
+              <div className="route-notice">{t('tracking.offline')}</div>
+            )}
+
+            {trip.offRoute && (
+              <div className="route-notice">{t('tracking.offRoute')}</div>
+            )}
+
+            {trip.rangeWarning && (
+              <div className="pace-warning">
+                {t('tracking.rangeWarning', { distance: getDistanceDisplay(trip.distanceLeft), range: getDistanceDisplay(trip.rangeLeft) })}
+              </div>
+            )}
+
+            {trip.overdue && (
+              <div className="pace-warning">{t('tracking.overdue')}</div>
+            )}
+
+            {trip.pace && trip.pace.impossible && (
+              <div className="pace-warning">
+                {t(trip.pace.estimatedLimits ? 'tracking.impossibleEstimate' : 'tracking.impossible')}
+              </div>
+            )}
+
             <div className="stats-grid">
               <div className="stat-item">
-                <span className="stat-label">Arrival In</span>
-                <span className="stat-value">{formatTime(timeLeft)}</span>
+                <span className="stat-label">{t('tracking.arrivalIn')}</span>
+                <span className="stat-value">{formatTime(trip.timeLeft)}</span>
               </div>
               <div className="stat-item">
-                <span className="stat-label">Distance</span>
-                <span className="stat-value">{getDistanceDisplay(distance)}</span>
+                <span className="stat-label">{t('tracking.distance')}</span>
+                <span className="stat-value">{trip.estimate ? '≈ ' : ''}{getDistanceDisplay(trip.distance)}</span>
               </div>
+              {breakSecondsOnLeg(trip.breaks, trip.legIndex) > 0 && (
+                <div className="stat-item">
+                  <span className="stat-label">{t('tracking.breaksLeft')}</span>
+                  <span className="stat-value">{formatTime(breakSecondsOnLeg(trip.breaks, trip.legIndex))}</span>
+                </div>
+              )}
+              {trip.rangeLeft !== null && (
+                <div className="stat-item">
+                  <span className="stat-label">{t('tracking.range')}</span>
+                  <span className="stat-value">{getDistanceDisplay(trip.rangeLeft)}</span>
+                </div>
+              )}
             </div>
 
             <div className="map-wrapper">
               <MapContainer center={[currentPos.lat, currentPos.lon]} zoom={13} zoomControl={false} attributionControl={false}>
-                <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" />
-                {routePolyline.length > 0 && <Polyline positions={routePolyline} color="var(--primary)" weight={4} />}
+                <TileLayer url={TILE_URL} />
+                {trip.routePolyline.length > 0 && <Polyline positions={trip.routePolyline} color="var(--primary)" weight={4} />}
                 <Marker position={[currentPos.lat, currentPos.lon]} />
-                {destCoords && <Marker position={[destCoords.lat, destCoords.lon]} />}
-                <MapUpdater bounds={routePolyline.length > 0 ? L.polyline(routePolyline).getBounds() : null} />
+                {trip.stops.map((stop, i) => <Marker key={i} position={[stop.coords.lat, stop.coords.lon]} />)}
+                <MapUpdater bounds={trip.routePolyline.length > 0 ? L.polyline(trip.routePolyline).getBounds() : null} />
               </MapContainer>
             </div>
 
             <div className="refresh-indicator">
               <div className="pulse"></div>
-              Refreshing in {nextRefresh}s
+              {t('tracking.refreshing', { seconds: trip.nextRefresh })}
             </div>
 
-            <button className="btn-primary btn-stop" onClick={handleStop}>STOP TRACKING</button>
+            <button
+              className="btn-secondary"
+              onClick={() => updateVoiceSettings(voiceSettings.enabled ? { quiet: !voiceSettings.quiet } : { enabled: true, quiet: false })}
+            >
+              {voiceSettings.enabled && !voiceSettings.quiet ? <Volume2 size={14} /> : <VolumeX size={14} />}
+              {' '}{!voiceSettings.enabled ? t('tracking.voiceOff') : voiceSettings.quiet ? t('tracking.tonesOnly') : t('tracking.voiceOn')}
+            </button>
+
+            <button className="btn-secondary" onClick={enterDrivingView}>
+              <Maximize size={14} /> {t('tracking.drivingMode')}
+            </button>
+
+            <button className="btn-primary btn-stop" onClick={handleStop}>{t('tracking.stop')}</button>
           </motion.div>
         )}
       </AnimatePresence>
@@ -0,0 +1,49 @@
+import React from 'react';
+import { ARRIVAL_MODES } from '../lib/arrivalTime';
+import { t } from '../lib/i18n';
+
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+// Arrival time entry for the destination and each stop; see lib/arrivalTime for the value shape
+function ArrivalTimeInput({ value, onChange, clock24 }) {
+  const set = (changes) => onChange({ ...value, ...changes });
+
+  return (
+    <>
+      <div className="mode-tabs">
+        {ARRIVAL_MODES.map(mode => (
+          <button key={mode} className={`mode-tab ${value.mode === mode ? 'active' : ''}`} onClick={() => set({ mode })}>
+            {t(`arrival.mode.${mode}`)}
+          </button>
+        ))}
+      </div>
+
+      {value.mode === 'relative' ? (
+        <input type="text" placeholder={t('arrival.relativePlaceholder')} value={value.relative} onChange={(e) => set({ relative: e.target.value })} />
+      ) : (
+        <>
+          {value.mode === 'date' && <input type="date" value={value.date} onChange={(e) => set({ date: e.target.value })} />}
+          <div className={`time-inputs ${clock24 ? 'clock24' : ''}`}>
+            <input type="number" placeholder="HH" value={value.hh} onChange={(e) => set({ hh: e.target.value })} />
+            <input type="number" placeholder="MM" value={value.mm} onChange={(e) => set({ mm: e.target.value })} />
+            <input type="number" placeholder="SS" value={value.ss} onChange={(e) => set({ ss: e.target.value })} />
+            {!clock24 && (
+              <div className="ampm-toggle">
+                <button className={`ampm-btn ${value.ampm === 'AM' ? 'active' : ''}`} onClick={() => set({ ampm: 'AM' })}>AM</button>
+                <button className={`ampm-btn ${value.ampm === 'PM' ? 'active' : ''}`} onClick={() => set({ ampm: 'PM' })}>PM</button>
+              </div>
+            )}
+          </div>
+          {TIME_ZONES.length > 0 && (
+            <select className="timezone-select" value={value.timeZone} onChange={(e) => set({ timeZone: e.target.value })}>
+              <option value="">{t('arrival.localTime')}</option>
+              {TIME_ZONES.map(zone => <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>)}
+            </select>
+          )}
+        </>
+      )}
+    </>
+  );
+}
+
+export default ArrivalTimeInput;
@@ -0,0 +1,42 @@
+import React from 'react';
+import { Clock } from 'lucide-react';
+import { formatClock, formatTime } from '../lib/format';
+import { t } from '../lib/i18n';
+
+// Countdown to the latest departure time; App switches to tracking when it hits zero
+function DeparturePlanner({ plan, departureIn, bufferMinutes, onLeaveNow, onCancel }) {
+  const finalStop = plan.stops[plan.stops.length - 1];
+
+  return (
+    <>
+      <div className="speed-display">
+        <label>{plan.late ? t('departure.leaveNow') : t('departure.leaveIn')}</label>
+        <div className="speed-value">{formatTime(departureIn)}</div>
+        <div className="speed-unit">
+          {t(plan.late ? 'departure.shouldHaveLeft' : 'departure.departBy', { time: formatClock(plan.departAt) })}
+        </div>
+      </div>
+
+      <div className="stats-grid">
+        <div className="stat-item">
+          <span className="stat-label">{t('departure.driveTime')}</span>
+          <span className="stat-value">{formatTime(plan.duration)}</span>
+        </div>
+        <div className="stat-item">
+          <span className="stat-label">{t('departure.buffer')}</span>
+          <span className="stat-value">{bufferMinutes} {t('common.min')}</span>
+        </div>
+      </div>
+
+      <div className="refresh-indicator">
+        <Clock size={12} />
+        {t('departure.arriveBy', { name: finalStop.name.split(',')[0], time: formatClock(finalStop.target) })}
+      </div>
+
+      <button className="btn-primary" onClick={onLeaveNow}>{t('departure.startNow')}</button>
+      <button className="btn-secondary" onClick={onCancel}>{t('common.cancel')}</button>
+    </>
+  );
+}
+
+export default DeparturePlanner;
@@ -0,0 +1,92 @@
+import React, { useId, useState } from 'react';
+import { Crosshair, History, MapPin, Star } from 'lucide-react';
+import { formatDistance } from '../lib/format';
+import { t } from '../lib/i18n';
+
+const KIND_ICONS = { coords: Crosshair, saved: Star, recent: History, search: MapPin };
+
+// Destination input with a keyboard-navigable suggestion list (ARIA combobox pattern).
+// items come from lib/search buildSuggestions.
+function DestinationSearch({ value, onChange, items, onSelect, units }) {
+  const [open, setOpen] = useState(false);
+  const [activeId, setActiveId] = useState(null);
+  const listId = useId();
+
+  const activeIndex = items.findIndex(item => item.id === activeId);
+  const expanded = open && items.length > 0;
+  const optionId = (item) => `${listId}-${item.id}`;
+
+  const select = (item) => {
+    onSelect(item);
+    setOpen(false);
+    setActiveId(null);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (items.length === 0) return;
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      const next = activeIndex === -1 ? (step === 1 ? 0 : items.length - 1) : (activeIndex + step + items.length) % items.length;
+      setOpen(true);
+      setActiveId(items[next].id);
+    } else if (e.key === 'Enter' && expanded && activeIndex !== -1) {
+      e.preventDefault();
+      select(items[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+      setActiveId(null);
+    }
+  };
+
+  return (
+    <div className="suggestions-container">
+      <input
+        type="text"
+        role="combobox"
+        aria-expanded={expanded}
+        aria-controls={listId}
+        aria-autocomplete="list"
+        aria-activedescendant={expanded && activeIndex !== -1 ? optionId(items[activeIndex]) : undefined}
+        placeholder={t('setup.searchPlaceholder')}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+          setActiveId(null);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+      />
+      {expanded && (
+        <ul id={listId} role="listbox" className="suggestions-list">
+          {items.map((item, i) => {
+            const Icon = KIND_ICONS[item.kind];
+            return (
+              <li
+                key={item.id}
+                id={optionId(item)}
+                role="option"
+                aria-selected={i === activeIndex}
+                className={`suggestion-item ${i === activeIndex ? 'active' : ''}`}
+                // Keep focus in the input so blur doesn't close the list before the click lands
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => select(item)}
+              >
+                <Icon size={12} className={`suggestion-icon ${item.kind}`} />
+                <div className="suggestion-text">
+                  <span>{item.label}</span>
+                  {item.name !== item.label && <span className="suggestion-detail">{item.name}</span>}
+                </div>
+                {item.distance !== null && <span className="suggestion-distance">{formatDistance(item.distance, units)}</span>}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default DestinationSearch;
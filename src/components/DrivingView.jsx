@@ -0,0 +1,70 @@
+import React, { useEffect, useState } from 'react';
+import { FlipHorizontal, Moon, Sun, SunMoon, X } from 'lucide-react';
+import { formatDistance, formatSpeed, formatTime } from '../lib/format';
+import { getPaceStatus } from '../lib/pace';
+import { resolveTheme } from '../lib/daylight';
+import { wakeLockSupported } from '../lib/wakeLock';
+import { t } from '../lib/i18n';
+
+const THEME_ICONS = { auto: SunMoon, day: Sun, night: Moon };
+const NEXT_THEME = { auto: 'day', day: 'night', night: 'auto' };
+// How often the automatic theme looks at the sun again
+const THEME_CHECK_MS = 60000;
+
+// Full-screen required-speed readout for glancing at while driving. Mirrored flips the
+// readout so it reads correctly reflected in the windshield; display is { theme, mirrored }.
+function DrivingView({ trip, units, display, onDisplayChange, onExit }) {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), THEME_CHECK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Reflections only show up against a black screen, so the HUD is always dark
+  const theme = display.mirrored ? 'night' : resolveTheme(display.theme, now, trip.position);
+  const ThemeIcon = THEME_ICONS[display.theme];
+  const required = formatSpeed(trip.requiredSpeed, units);
+  const status = getPaceStatus(trip.actualSpeed, trip.requiredSpeed) || 'unknown';
+
+  return (
+    <div className={`driving-view theme-${theme} ${display.mirrored ? 'mirrored' : ''}`}>
+      <div className={`driving-readout pace-${status}`}>
+        {trip.stops.length > 1 && (
+          <div className="driving-leg">{trip.stops[trip.legIndex].name.split(',')[0]}</div>
+        )}
+        <div className="driving-speed">{required.val}</div>
+        <div className="driving-unit">{required.unit}{trip.estimate ? ` · ${t('driving.estimate')}` : ''}</div>
+        <div className="driving-stats">
+          <span>{trip.actualSpeed === null ? '--' : formatSpeed(trip.actualSpeed, units).val} {t('driving.now')}</span>
+          <span>{formatTime(trip.timeLeft)}</span>
+          <span>{trip.estimate ? '≈ ' : ''}{formatDistance(trip.distance, units)}</span>
+        </div>
+        {(trip.gpsError || trip.overdue || trip.rangeWarning) && (
+          <div className="driving-alert">
+            {trip.gpsError ? t('driving.noGps') : trip.overdue ? t('driving.overdue') : t('driving.lowRange')}
+          </div>
+        )}
+      </div>
+
+      <div className="driving-controls">
+        <button
+          className={`driving-btn ${display.mirrored ? 'active' : ''}`}
+          onClick={() => onDisplayChange({ mirrored: !display.mirrored })}
+          title={t('driving.mirrorHint')}
+        >
+          <FlipHorizontal size={18} /> {t('driving.mirror')}
+        </button>
+        <button className="driving-btn" onClick={() => onDisplayChange({ theme: NEXT_THEME[display.theme] })} title={t('driving.themeHint')}>
+          <ThemeIcon size={18} /> {t(`driving.theme.${display.theme}`)}
+        </button>
+        <button className="driving-btn" onClick={onExit} title={t('driving.exitHint')}>
+          <X size={18} />
+        </button>
+      </div>
+      {!wakeLockSupported() && <div className="driving-hint">{t('driving.noWakeLock')}</div>}
+    </div>
+  );
+}
+
+export default DrivingView;
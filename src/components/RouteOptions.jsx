@@ -0,0 +1,56 @@
+import React from 'react';
+import { MapContainer, TileLayer, Polyline, Marker } from 'react-leaflet';
+import L from 'leaflet';
+import { TILE_URL } from '../lib/tiles';
+import { formatDistance, formatSpeed, formatTime } from '../lib/format';
+import { t } from '../lib/i18n';
+
+// Alternative routes on a map and as a list; options are [{ route, requiredSpeed, overRange }]
+function RouteOptions({ options, selected, onSelect, stops, units }) {
+  const lowest = Math.min(...options.map(o => o.requiredSpeed));
+  const bounds = L.latLngBounds(options.flatMap(o => o.route.polyline));
+  // Selected route drawn last so it sits on top
+  const drawOrder = [...options.keys()].filter(i => i !== selected).concat(selected);
+
+  return (
+    <div className="input-group">
+      <label>{t('routes.title')}</label>
+      <div className="setup-map">
+        <MapContainer bounds={bounds} boundsOptions={{ padding: [20, 20] }} zoomControl={false} attributionControl={false} style={{ height: '100%' }}>
+          <TileLayer url={TILE_URL} />
+          {drawOrder.map(i => (
+            <Polyline
+              key={i}
+              positions={options[i].route.polyline}
+              pathOptions={{ color: i === selected ? 'var(--primary)' : '#888', weight: i === selected ? 5 : 4, opacity: i === selected ? 1 : 0.6 }}
+              eventHandlers={{ click: () => onSelect(i) }}
+            />
+          ))}
+          {stops.map((stop, i) => <Marker key={i} position={[stop.coords.lat, stop.coords.lon]} />)}
+        </MapContainer>
+      </div>
+      {options.map((option, i) => {
+        const speed = formatSpeed(option.requiredSpeed, units);
+        return (
+          <div key={i} className={`route-option ${i === selected ? 'active' : ''}`} onClick={() => onSelect(i)}>
+            <div className="trip-log-info">
+              <span>
+                {t('routes.route', { number: i + 1 })}
+                {option.requiredSpeed === lowest && options.length > 1 ? ` · ${t('routes.lowestSpeed')}` : ''}
+                {option.overRange ? ` · ${t('routes.overRange')}` : ''}
+              </span>
+              <span className="trip-log-meta">
+                {formatDistance(option.route.distance, units)} · {t('routes.typical', { duration: formatTime(option.route.duration) })}
+              </span>
+            </div>
+            <div className="route-option-speed">
+              {speed.val} <span>{speed.unit}</span>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default RouteOptions;
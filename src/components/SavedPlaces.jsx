@@ -0,0 +1,88 @@
+import React, { useRef } from 'react';
+import { ChevronDown, ChevronUp, Download, Upload } from 'lucide-react';
+import {
+  exportSavedPlaces, importSavedPlaces, moveSavedPlace, parseTags, placeLabel, removeSavedPlace, updateSavedPlace,
+} from '../lib/savedPlaces';
+import { download } from '../lib/download';
+import { t } from '../lib/i18n';
+
+// Editor for saved destinations: rename, label, tags, default arrival time, order, import/export.
+// Text fields save on blur so tags can be typed with commas.
+function SavedPlaces({ places, onChange, onError, onNotice, onClose }) {
+  const fileInput = useRef(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { places: updated, added, skipped } = importSavedPlaces(await file.text());
+      onChange(updated);
+      const imported = added === 1 ? t('saved.importedOne') : t('saved.imported', { count: added });
+      onNotice(skipped ? `${imported} ${t('saved.skipped', { count: skipped })}` : imported);
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  return (
+    <div className="saved-places">
+      <div className="saved-places-header">
+        <button className="trip-log-btn" onClick={() => download('drivetimer-places.json', exportSavedPlaces(), 'application/json')} disabled={places.length === 0}>
+          <Download size={14} /> {t('common.export')}
+        </button>
+        <button className="trip-log-btn" onClick={() => fileInput.current.click()}>
+          <Upload size={14} /> {t('common.import')}
+        </button>
+        <button className="trip-log-btn" onClick={onClose} style={{ marginLeft: 'auto' }}>{t('common.done')}</button>
+      </div>
+      <input ref={fileInput} type="file" accept=".json" style={{ display: 'none' }} onChange={handleFile} />
+
+      {places.map((place, i) => (
+        <div key={place.id} className="saved-place-item">
+          <div className="saved-place-order">
+            <button className="trip-log-btn" title={t('saved.moveUp')} onClick={() => onChange(moveSavedPlace(place.id, -1))} disabled={i === 0}>
+              <ChevronUp size={14} />
+            </button>
+            <button className="trip-log-btn" title={t('saved.moveDown')} onClick={() => onChange(moveSavedPlace(place.id, 1))} disabled={i === places.length - 1}>
+              <ChevronDown size={14} />
+            </button>
+          </div>
+          <div className="saved-place-fields">
+            <input
+              type="text"
+              placeholder={placeLabel({ ...place, label: '' })}
+              defaultValue={place.label}
+              onBlur={(e) => onChange(updateSavedPlace(place.id, { label: e.target.value.trim() }))}
+              title={t('saved.label')}
+            />
+            <input
+              type="text"
+              defaultValue={place.name}
+              onBlur={(e) => e.target.value.trim() && onChange(updateSavedPlace(place.id, { name: e.target.value.trim() }))}
+              title={t('saved.name')}
+            />
+            <div className="saved-place-row">
+              <input
+                type="text"
+                placeholder={t('saved.tags')}
+                defaultValue={place.tags.join(', ')}
+                onBlur={(e) => onChange(updateSavedPlace(place.id, { tags: parseTags(e.target.value) }))}
+              />
+              <input
+                type="time"
+                value={place.defaultArrival || ''}
+                onChange={(e) => onChange(updateSavedPlace(place.id, { defaultArrival: e.target.value || null }))}
+                title={t('saved.defaultArrival')}
+              />
+            </div>
+          </div>
+          <span className="remove-pill" onClick={() => onChange(removeSavedPlace(place.id))}>×</span>
+        </div>
+      ))}
+      {places.length === 0 && <p className="map-hint">{t('saved.empty')}</p>}
+    </div>
+  );
+}
+
+export default SavedPlaces;
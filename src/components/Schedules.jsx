@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { BellRing, CalendarClock } from 'lucide-react';
+import { nextOccurrence, removeSchedule, saveSchedule, updateSchedule } from '../lib/schedules';
+import { placeLabel } from '../lib/savedPlaces';
+import { formatClock, formatWeekday } from '../lib/format';
+import { t } from '../lib/i18n';
+
+const DAYS = [0, 1, 2, 3, 4, 5, 6];
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+const describeNext = (schedule) => {
+  const next = nextOccurrence(schedule);
+  return next ? t('schedules.next', { when: `${formatWeekday(next.getDay(), 'short')} ${formatClock(next)}` }) : t('schedules.noDays');
+};
+
+// Recurring trips to saved places; reminders go out from the scheduler in App
+function Schedules({ places, schedules, onChange, onError }) {
+  const [draft, setDraft] = useState(null);
+  const permission = typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+
+  const startDraft = () => setDraft({ placeId: places[0].id, arrival: '09:00', days: WEEKDAYS, autoStart: false });
+
+  const toggleDay = (days, day) => (days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort());
+
+  const addSchedule = async () => {
+    if (!draft.arrival || draft.days.length === 0) {
+      onError(t('schedules.incomplete'));
+      return;
+    }
+    if (permission === 'default') await Notification.requestPermission();
+    onChange(saveSchedule({ ...draft, id: Date.now(), enabled: true, lastNotified: null }));
+    setDraft(null);
+  };
+
+  return (
+    <div className="input-group">
+      <label style={{ display: 'flex', justifyContent: 'space-between' }}>
+        <span><CalendarClock size={14} /> {t('schedules.title')}</span>
+        {places.length > 0 && !draft && (
+          <button
+            onClick={startDraft}
+            style={{ background: 'none', border: 'none', color: 'var(--primary)', cursor: 'pointer', fontSize: '0.7rem' }}
+          >
+            {t('common.add')}
+          </button>
+        )}
+      </label>
+      {places.length === 0 && <p className="map-hint">{t('schedules.needPlace')}</p>}
+      {schedules.length > 0 && permission !== 'granted' && (
+        <p className="map-hint">{t(permission === 'unsupported' ? 'schedules.unsupported' : 'schedules.blocked')}</p>
+      )}
+
+      {schedules.map(schedule => {
+        const place = places.find(p => p.id === schedule.placeId);
+        return (
+          <div key={schedule.id} className="trip-log-item">
+            <div className="trip-log-info">
+              <span>{place ? placeLabel(place) : t('schedules.removedPlace')} · {schedule.arrival}</span>
+              <span className="trip-log-meta">
+                {DAYS.map(day => (schedule.days.includes(day) ? formatWeekday(day, 'narrow') : '·')).join(' ')} · {describeNext(schedule)}
+              </span>
+            </div>
+            <button
+              className={`trip-log-btn ${schedule.autoStart ? 'active' : ''}`}
+              title={t('schedules.autoHint')}
+              onClick={() => onChange(updateSchedule(schedule.id, { autoStart: !schedule.autoStart }))}
+            >
+              {t('schedules.auto')}
+            </button>
+            <button
+              className={`trip-log-btn ${schedule.enabled ? 'active' : ''}`}
+              title={t(schedule.enabled ? 'schedules.remindersOn' : 'schedules.remindersOff')}
+              onClick={() => onChange(updateSchedule(schedule.id, { enabled: !schedule.enabled }))}
+            >
+              <BellRing size={14} />
+            </button>
+            <span className="remove-pill" onClick={() => onChange(removeSchedule(schedule.id))}>×</span>
+          </div>
+        );
+      })}
+
+      {draft && (
+        <div className="schedule-draft">
+          <div className="saved-place-row">
+            <select className="timezone-select" value={draft.placeId} onChange={(e) => setDraft({ ...draft, placeId: Number(e.target.value) })}>
+              {places.map(place => <option key={place.id} value={place.id}>{placeLabel(place)}</option>)}
+            </select>
+            <input type="time" value={draft.arrival} onChange={(e) => setDraft({ ...draft, arrival: e.target.value })} />
+          </div>
+          <div className="day-toggles">
+            {DAYS.map(day => (
+              <button
+                key={day}
+                className={`mode-tab ${draft.days.includes(day) ? 'active' : ''}`}
+                onClick={() => setDraft({ ...draft, days: toggleDay(draft.days, day) })}
+              >
+                {formatWeekday(day, 'narrow')}
+              </button>
+            ))}
+          </div>
+          <div className="provider-options">
+            <button className={`provider-btn ${draft.autoStart ? 'active' : ''}`} onClick={() => setDraft({ ...draft, autoStart: !draft.autoStart })}>
+              {t('schedules.autoStart')}
+            </button>
+            <button className="provider-btn" onClick={() => setDraft(null)}>{t('common.cancel')}</button>
+            <button className="provider-btn active" onClick={addSchedule}>{t('common.save')}</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Schedules;
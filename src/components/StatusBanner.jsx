@@ -0,0 +1,35 @@
+import React, { useEffect, useState } from 'react';
+import { AlertTriangle, RotateCw } from 'lucide-react';
+import { describeError } from '../lib/errors';
+import { t } from '../lib/i18n';
+
+// Explains a typed failure ({ type, message, retryAt }) with a retry countdown and button
+function StatusBanner({ error, onRetry }) {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    if (!error.retryAt) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [error.retryAt]);
+
+  const { title } = describeError(error.type);
+  const retryIn = error.retryAt ? Math.max(0, Math.ceil((error.retryAt - now) / 1000)) : null;
+
+  return (
+    <div className="status-banner" role="alert">
+      <AlertTriangle size={16} />
+      <div className="status-banner-text">
+        <strong>{title}</strong>
+        <span>{error.message}</span>
+        {retryIn !== null && <span className="status-banner-retry">{t('banner.retryingIn', { seconds: retryIn })}</span>}
+      </div>
+      {onRetry && (
+        <button className="trip-log-btn" onClick={onRetry}>
+          <RotateCw size={12} /> {t('banner.retry')}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default StatusBanner;
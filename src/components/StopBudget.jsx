@@ -0,0 +1,90 @@
+import React from 'react';
+import { Coffee } from 'lucide-react';
+import { BREAK_KINDS, createBreak } from '../lib/stopBudget';
+import { fromDisplayDistance, toDisplayDistance } from '../lib/format';
+import { t } from '../lib/i18n';
+
+// Range inputs hold display units; the vehicle keeps km
+const rangeValue = (km, units) => (km === null ? '' : String(Math.round(toDisplayDistance(km, units) * 10) / 10));
+
+const parseRange = (value, units) => {
+  const number = parseFloat(value);
+  return number > 0 ? fromDisplayDistance(number, units) : null;
+};
+
+// Planned breaks per leg and the vehicle's range; stopNames label the legs in order
+function StopBudget({ breaks, onChange, vehicle, onVehicleChange, stopNames, units }) {
+  const unitLabel = t(units === 'imperial' ? 'units.mi' : 'units.km');
+
+  const updateBreak = (id, changes) => onChange(breaks.map(brk => (brk.id === id ? { ...brk, ...changes } : brk)));
+
+  const updateMinutes = (id, value) => {
+    const minutes = Math.max(0, parseFloat(value) || 0);
+    updateBreak(id, { minutes, left: minutes * 60 });
+  };
+
+  return (
+    <div className="input-group">
+      <label style={{ display: 'flex', justifyContent: 'space-between' }}>
+        <span><Coffee size={14} /> {t('budget.title')}</span>
+        <button
+          onClick={() => onChange([...breaks, createBreak(stopNames.length - 1)])}
+          style={{ background: 'none', border: 'none', color: 'var(--primary)', cursor: 'pointer', fontSize: '0.7rem' }}
+        >
+          {t('budget.addBreak')}
+        </button>
+      </label>
+
+      {breaks.map(brk => (
+        <div key={brk.id} className="break-item">
+          <div className="day-toggles">
+            {BREAK_KINDS.map(kind => (
+              <button
+                key={kind.id}
+                className={`mode-tab ${brk.kind === kind.id ? 'active' : ''}`}
+                onClick={() => updateBreak(brk.id, { kind: kind.id })}
+              >
+                {t(`break.${kind.id}`)}
+              </button>
+            ))}
+          </div>
+          <div className="buffer-row">
+            <input type="number" min="0" value={brk.minutes} onChange={(e) => updateMinutes(brk.id, e.target.value)} />
+            <span>{t('common.min')}</span>
+            {stopNames.length > 1 && (
+              <select className="timezone-select" value={brk.leg} onChange={(e) => updateBreak(brk.id, { leg: Number(e.target.value) })}>
+                {stopNames.map((name, leg) => (
+                  <option key={leg} value={leg}>{t('budget.onTheWayTo', { name: name.split(',')[0] || t('budget.stop', { number: leg + 1 }) })}</option>
+                ))}
+              </select>
+            )}
+            <span className="remove-pill" onClick={() => onChange(breaks.filter(b => b.id !== brk.id))}>×</span>
+          </div>
+        </div>
+      ))}
+
+      <div className="buffer-row">
+        <span>{t('budget.rangeNow')}</span>
+        <input
+          type="number"
+          min="0"
+          placeholder="--"
+          value={rangeValue(vehicle.rangeKm, units)}
+          onChange={(e) => onVehicleChange({ ...vehicle, rangeKm: parseRange(e.target.value, units) })}
+        />
+        <span>{t('budget.rangeOf', { unit: unitLabel })}</span>
+        <input
+          type="number"
+          min="0"
+          placeholder="--"
+          value={rangeValue(vehicle.fullRangeKm, units)}
+          onChange={(e) => onVehicleChange({ ...vehicle, fullRangeKm: parseRange(e.target.value, units) })}
+        />
+        <span>{unitLabel}</span>
+      </div>
+      {breaks.length > 0 && <p className="map-hint">{t('budget.hint')}</p>}
+    </div>
+  );
+}
+
+export default StopBudget;
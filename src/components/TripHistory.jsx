@@ -0,0 +1,83 @@
+import React from 'react';
+import { ArrowLeft, Star } from 'lucide-react';
+import { formatArrivalDelta, formatClock, formatDate, formatPercent, formatSpeed, formatTime } from '../lib/format';
+import { statsByDestination, summarizeTrip } from '../lib/tripStats';
+import { placeLabel } from '../lib/savedPlaces';
+import { t } from '../lib/i18n';
+
+// Past trips and per-destination punctuality, built from the saved trip logs
+function TripHistory({ logs, savedDestinations, units, onBack }) {
+  const destinationStats = statsByDestination(logs, savedDestinations);
+
+  return (
+    <>
+      <div style={{ position: 'relative' }}>
+        <button className="settings-btn" onClick={onBack} title={t('common.back')}>
+          <ArrowLeft size={16} />
+        </button>
+        <h1>{t('history.title')}</h1>
+      </div>
+
+      {logs.length === 0 && <p className="map-hint">{t('history.empty')}</p>}
+
+      {destinationStats.length > 0 && (
+        <div className="input-group">
+          <label>{t('history.byDestination')}</label>
+          {destinationStats.map(stats => (
+            <div key={stats.destination.id} className="history-card">
+              <div className="history-card-title">
+                <Star size={12} fill="currentColor" />
+                <span>{placeLabel(stats.destination)}</span>
+                <span className="history-card-badge">
+                  {t('history.onTarget', { rate: stats.hitRate === null ? '--' : formatPercent(stats.hitRate), trips: stats.trips })}
+                </span>
+              </div>
+              {stats.driveTimes.map(bucket => (
+                <div key={bucket.id} className="history-row">
+                  <span>{t(`history.bucket.${bucket.id}`)}</span>
+                  <span>{t('history.typical', { duration: formatTime(bucket.typical), trips: bucket.trips })}</span>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {logs.length > 0 && (
+        <div className="input-group">
+          <label>{t('history.pastTrips')}</label>
+          {logs.map(log => {
+            const summary = summarizeTrip(log);
+            return (
+              <div key={log.id} className="history-card">
+                <div className="history-card-title">
+                  <span>{log.name.split(',')[0]}</span>
+                  <span className={`history-card-badge ${summary.onTarget ? 'on-target' : ''}`}>
+                    {summary.arrivalDelta === null ? t(`status.${log.status}`) : formatArrivalDelta(summary.arrivalDelta).toUpperCase()}
+                  </span>
+                </div>
+                <div className="history-row">
+                  <span>{formatDate(new Date(log.startedAt))}</span>
+                  <span>
+                    {t('history.planned', { time: summary.plannedArrival ? formatClock(new Date(summary.plannedArrival)) : '--' })}
+                    {' · '}{t('history.actual', { time: summary.actualArrival ? formatClock(new Date(summary.actualArrival)) : '--' })}
+                  </span>
+                </div>
+                <div className="history-row">
+                  <span>{t('history.averageRequiredSpeed')}</span>
+                  <span>
+                    {summary.averageRequiredSpeed === null
+                      ? '--'
+                      : `${formatSpeed(summary.averageRequiredSpeed, units).val} ${formatSpeed(0, units).unit}`}
+                  </span>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </>
+  );
+}
+
+export default TripHistory;
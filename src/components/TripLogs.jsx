@@ -0,0 +1,74 @@
+import React, { useRef } from 'react';
+import { Download, History, Upload, Route } from 'lucide-react';
+import { toGeoJson, toGpx, parseGeoJson, parseGpx } from '../lib/gpx';
+import { formatArrivalDelta, formatClock, formatDate } from '../lib/format';
+import { download } from '../lib/download';
+import { t } from '../lib/i18n';
+
+const fileName = (log, ext) => `drivetimer-${new Date(log.startedAt).toISOString().slice(0, 16).replace(/[:T]/g, '-')}.${ext}`;
+
+const describeOutcome = (log) => (
+  log.arrivalDelta === null ? t(`status.${log.status}`) : formatArrivalDelta(log.arrivalDelta).toUpperCase()
+);
+
+// Recent trip logs with export, import and "use as route"
+function TripLogs({ logs, onImport, onUseAsRoute, onRemove, onError, onShowHistory }) {
+  const fileInput = useRef(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const text = await file.text();
+      const isJson = /\.(geo)?json$/i.test(file.name) || text.trim().startsWith('{');
+      onImport(isJson ? parseGeoJson(text) : parseGpx(text));
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  return (
+    <div className="input-group">
+      <label style={{ display: 'flex', justifyContent: 'space-between' }}>
+        <span>{t('tripLogs.title')}</span>
+        {logs.length > 0 && (
+          <button
+            onClick={onShowHistory}
+            style={{ background: 'none', border: 'none', color: 'var(--primary)', cursor: 'pointer', fontSize: '0.7rem', marginLeft: 'auto', marginRight: '12px' }}
+          >
+            <History size={10} /> {t('tripLogs.history')}
+          </button>
+        )}
+        <button
+          onClick={() => fileInput.current.click()}
+          style={{ background: 'none', border: 'none', color: 'var(--primary)', cursor: 'pointer', fontSize: '0.7rem' }}
+        >
+          <Upload size={10} /> {t('tripLogs.import')}
+        </button>
+      </label>
+      <input ref={fileInput} type="file" accept=".gpx,.geojson,.json" style={{ display: 'none' }} onChange={handleFile} />
+
+      {logs.slice(0, 3).map(log => (
+        <div key={log.id} className="trip-log-item">
+          <div className="trip-log-info">
+            <span>{log.name.split(',')[0]}</span>
+            <span className="trip-log-meta">
+              {formatDate(new Date(log.startedAt))} {formatClock(new Date(log.startedAt))} · {describeOutcome(log)}
+            </span>
+          </div>
+          <button className="trip-log-btn" title={t('tripLogs.useAsRoute')} onClick={() => onUseAsRoute(log)}><Route size={14} /></button>
+          <button className="trip-log-btn" title={t('tripLogs.exportGpx')} onClick={() => download(fileName(log, 'gpx'), toGpx(log), 'application/gpx+xml')}>
+            <Download size={14} /> GPX
+          </button>
+          <button className="trip-log-btn" title={t('tripLogs.exportGeoJson')} onClick={() => download(fileName(log, 'geojson'), JSON.stringify(toGeoJson(log), null, 2), 'application/geo+json')}>
+            <Download size={14} /> JSON
+          </button>
+          <span className="remove-pill" onClick={() => onRemove(log.id)}>×</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default TripLogs;
@@ -0,0 +1,50 @@
+import { OVERDUE_LIMIT_MS } from './tripEngine';
+
+// Keeps the running trip in localStorage so a reload or crash can pick it back up
+
+const STORAGE_KEY = 'driveTimer_activeTrip';
+// Position-only changes are written at most this often (ms)
+const SAVE_INTERVAL_MS = 10000;
+
+export const loadActiveTrip = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!saved) return null;
+    const stops = saved.stops.map(s => ({ ...s, target: new Date(s.target) }));
+    // Nothing to resume once the engine would have given up on the trip
+    if (stops[stops.length - 1].target.getTime() + OVERDUE_LIMIT_MS <= Date.now()) {
+      clearActiveTrip();
+      return null;
+    }
+    return { ...saved, stops };
+  } catch {
+    return null;
+  }
+};
+
+export const clearActiveTrip = () => localStorage.removeItem(STORAGE_KEY);
+
+// Trip engine listener that saves { stops, snapshot, log } as the trip progresses
+export const createTripPersister = ({ engine, recorder, now = Date.now }) => {
+  let lastSavedAt = -Infinity;
+  let lastLeg = null;
+  let lastPolyline = null;
+
+  return (state) => {
+    if (state.status !== 'active') {
+      clearActiveTrip();
+      return;
+    }
+    const changed = state.legIndex !== lastLeg || state.routePolyline !== lastPolyline;
+    if (!changed && now() - lastSavedAt < SAVE_INTERVAL_MS) return;
+
+    lastSavedAt = now();
+    lastLeg = state.legIndex;
+    lastPolyline = state.routePolyline;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      stops: state.stops.map(s => ({ ...s, target: s.target.getTime() })),
+      snapshot: engine.snapshot(),
+      log: recorder.getLog(),
+    }));
+  };
+};
@@ -0,0 +1,153 @@
+import { t } from './i18n';
+
+// Arrival time input: parsing, validation and conversion to an absolute Date.
+//
+// An arrival input looks like
+//   { mode: 'clock' | 'date' | 'relative', hh, mm, ss, ampm, date: 'YYYY-MM-DD', relative, timeZone }
+// 'clock' means the next time the clock shows hh:mm:ss (today or tomorrow), 'date' pins it to a
+// calendar day, and 'relative' is a duration from now such as "in 45 minutes". An empty timeZone
+// means the device's local zone.
+
+export const ARRIVAL_MODES = ['clock', 'date', 'relative'];
+
+// Input showing the local time of `date`; mode 'date' also pins it to that day
+export const createArrivalTime = (date, clock24, mode = 'clock') => {
+  const hours = date.getHours();
+  const day = [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(n => n.toString().padStart(2, '0')).join('-');
+  return {
+    mode,
+    hh: (clock24 ? hours : hours % 12 || 12).toString(),
+    mm: date.getMinutes().toString().padStart(2, '0'),
+    ss: date.getSeconds().toString().padStart(2, '0'),
+    ampm: hours >= 12 ? 'PM' : 'AM',
+    date: mode === 'date' ? day : '',
+    relative: '',
+    timeZone: '',
+  };
+};
+
+export const isArrivalTimeFilled = (time) => (time.mode === 'relative' ? time.relative.trim() !== '' : time.hh !== '');
+
+// Rewrites the hour field when switching between 12h and 24h entry
+export const convertClock = (time, clock24) => {
+  const hours = parseInt(time.hh);
+  if (Number.isNaN(hours)) return time;
+  if (clock24) {
+    let converted = hours % 12;
+    if (time.ampm === 'PM') converted += 12;
+    return { ...time, hh: converted.toString() };
+  }
+  return { ...time, hh: (hours % 12 || 12).toString(), ampm: hours >= 12 ? 'PM' : 'AM' };
+};
+
+// Seconds from strings like "45", "45 min", "in 1h 30m", "1.5 hours" or "1:15"; null if unrecognised
+export const parseRelativeDuration = (text) => {
+  const value = text.trim().toLowerCase().replace(/^in\s+/, '');
+  let match = value.match(/^(\d+):([0-5]\d)$/);
+  if (match) return (parseInt(match[1]) * 60 + parseInt(match[2])) * 60;
+
+  match = value.match(/^(\d+)$/);
+  if (match) return parseInt(match[1]) * 60;
+
+  match = value.match(/^(?:(\d+(?:\.\d+)?)\s*h(?:ours?|rs?)?)?\s*(?:(\d+)\s*m(?:in(?:ute)?s?)?)?$/);
+  if (match && (match[1] || match[2])) {
+    return Math.round((parseFloat(match[1] || 0) * 60 + parseInt(match[2] || 0)) * 60);
+  }
+  return null;
+};
+
+// field is the catalog key naming the field in messages
+const parseField = (value, field, min, max, fallback) => {
+  const trimmed = String(value).trim();
+  if (trimmed === '' && fallback !== undefined) return fallback;
+  if (!/^\d{1,2}$/.test(trimmed)) throw new Error(t('arrival.wholeNumber', { field: t(field) }));
+  const num = parseInt(trimmed);
+  if (num < min || num > max) throw new Error(t('arrival.outOfRange', { field: t(field), min, max }));
+  return num;
+};
+
+const checkTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    throw new Error(t('arrival.unknownZone', { zone: timeZone }));
+  }
+};
+
+// Wall-clock fields of an instant in a zone
+const zonedParts = (instant, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(new Date(instant));
+  const get = (type) => parseInt(parts.find(p => p.type === type).value);
+  return { year: get('year'), month: get('month'), day: get('day'), hours: get('hour'), minutes: get('minute'), seconds: get('second') };
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sameWallClock = (a, b) => ['year', 'month', 'day', 'hours', 'minutes', 'seconds'].every(field => a[field] === b[field]);
+
+// Instant (ms) at which the wall clock in timeZone reads the given fields
+const zonedInstant = (fields, timeZone) => {
+  const { year, month, day, hours, minutes, seconds } = fields;
+  if (!timeZone) return new Date(year, month - 1, day, hours, minutes, seconds).getTime();
+  const asUtc = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  const offsetAt = (instant) => {
+    const p = zonedParts(instant, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hours, p.minutes, p.seconds) - Math.floor(instant / 1000) * 1000;
+  };
+  // The offsets a day either side cover both sides of any DST change around that time
+  const candidates = [offsetAt(asUtc - DAY_MS), offsetAt(asUtc + DAY_MS)].map(offset => asUtc - offset);
+  const matches = candidates.filter(instant => sameWallClock(zonedParts(instant, timeZone), fields));
+  // A repeated time (clocks going back) means its first occurrence. A skipped one (clocks going
+  // forward) moves forward by the jump, the way Date treats local times.
+  return matches.length > 0 ? Math.min(...matches) : candidates[0];
+};
+
+const today = (now, timeZone) => {
+  if (timeZone) return zonedParts(now, timeZone);
+  const date = new Date(now);
+  return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
+};
+
+// Turns an arrival input into a Date, throwing an Error with a readable message when it's invalid
+export const resolveArrivalTime = (time, { now = Date.now(), clock24 = false } = {}) => {
+  if (time.mode === 'relative') {
+    const seconds = parseRelativeDuration(time.relative);
+    if (seconds === null) throw new Error(t('arrival.badDuration', { text: time.relative }));
+    if (seconds <= 0) throw new Error(t('arrival.notFuture'));
+    return new Date(now + seconds * 1000);
+  }
+
+  const hours = clock24 ? parseField(time.hh, 'arrival.hour', 0, 23) : parseField(time.hh, 'arrival.hour', 1, 12);
+  const clock = {
+    hours: clock24 ? hours : (hours % 12) + (time.ampm === 'PM' ? 12 : 0),
+    minutes: parseField(time.mm, 'arrival.minutes', 0, 59, 0),
+    seconds: parseField(time.ss, 'arrival.seconds', 0, 59, 0),
+  };
+  if (time.timeZone) checkTimeZone(time.timeZone);
+
+  if (time.mode === 'date') {
+    const match = (time.date || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) throw new Error(t('arrival.pickDate'));
+    const target = zonedInstant({ year: +match[1], month: +match[2], day: +match[3], ...clock }, time.timeZone);
+    if (target <= now) throw new Error(t('arrival.past'));
+    return new Date(target);
+  }
+
+  // If target is in the past (e.g. it's 11:50PM and user sets 12:05AM), it means tomorrow
+  const day = today(now, time.timeZone);
+  let target = zonedInstant({ ...day, ...clock }, time.timeZone);
+  if (target <= now) {
+    const tomorrow = new Date(Date.UTC(day.year, day.month - 1, day.day + 1));
+    target = zonedInstant({ year: tomorrow.getUTCFullYear(), month: tomorrow.getUTCMonth() + 1, day: tomorrow.getUTCDate(), ...clock }, time.timeZone);
+  }
+  return new Date(target);
+};
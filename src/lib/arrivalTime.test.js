@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { parseRelativeDuration, resolveArrivalTime } from './arrivalTime';
+
+const clockInput = (hh, mm, timeZone, date = '') => ({ mode: date ? 'date' : 'clock', hh, mm, ss: '00', ampm: 'AM', date, relative: '', timeZone });
+
+describe('resolveArrivalTime in a time zone', () => {
+  const now = Date.UTC(2026, 2, 1, 12);
+
+  it('resolves an ordinary time', () => {
+    const target = resolveArrivalTime(clockInput('9', '15', 'America/New_York', '2026-03-10'), { now, clock24: true });
+    expect(target.toISOString()).toBe('2026-03-10T13:15:00.000Z');
+  });
+
+  it('moves a time skipped by DST forward', () => {
+    const target = resolveArrivalTime(clockInput('2', '30', 'America/New_York', '2026-03-08'), { now, clock24: true });
+    expect(target.toISOString()).toBe('2026-03-08T07:30:00.000Z');
+  });
+
+  it('keeps times just before the DST jump', () => {
+    const target = resolveArrivalTime(clockInput('1', '30', 'America/New_York', '2026-03-08'), { now, clock24: true });
+    expect(target.toISOString()).toBe('2026-03-08T06:30:00.000Z');
+  });
+
+  it('takes the first of a time repeated when clocks go back', () => {
+    const target = resolveArrivalTime(clockInput('1', '30', 'America/New_York', '2026-11-01'), { now, clock24: true });
+    expect(target.toISOString()).toBe('2026-11-01T05:30:00.000Z');
+  });
+
+  it('rolls a clock time that has passed over to tomorrow', () => {
+    const evening = Date.UTC(2026, 5, 1, 22);
+    const target = resolveArrivalTime(clockInput('6', '00', 'Europe/London'), { now: evening, clock24: true });
+    expect(target.toISOString()).toBe('2026-06-02T05:00:00.000Z');
+  });
+});
+
+describe('parseRelativeDuration', () => {
+  it('reads common duration formats', () => {
+    expect(parseRelativeDuration('45')).toBe(45 * 60);
+    expect(parseRelativeDuration('in 1h 30m')).toBe(90 * 60);
+    expect(parseRelativeDuration('1:15')).toBe(75 * 60);
+    expect(parseRelativeDuration('soon')).toBeNull();
+  });
+});
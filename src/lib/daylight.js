@@ -0,0 +1,50 @@
+// Sunrise and sunset for the driving view's automatic day/night theme, using the
+// sunrise equation (good to a minute or two, which is plenty for picking a theme)
+
+const DAY_MS = 86400000;
+const J1970 = 2440587.5;
+const J2000 = 2451545;
+// Sun's apparent radius plus refraction, below the horizon
+const HORIZON_DEG = -0.833;
+const OBLIQUITY_DEG = 23.4397;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+const toDeg = (rad) => (rad * 180) / Math.PI;
+const toJulian = (date) => date.getTime() / DAY_MS + J1970;
+const fromJulian = (julian) => new Date((julian - J1970) * DAY_MS);
+
+export const DISPLAY_THEMES = ['auto', 'day', 'night'];
+
+export const DEFAULT_DRIVING_DISPLAY = { theme: 'auto', mirrored: false };
+
+// Sunrise and sunset around the solar noon nearest to date, as Dates. At high latitudes
+// the sun may not cross the horizon at all: polar is then 'day' or 'night' and both times are null.
+export const getSunTimes = (date, { lat, lon }) => {
+  const cycle = Math.round(toJulian(date) - J2000 + lon / 360);
+  const noon = cycle - lon / 360;
+  const anomaly = toRad((357.5291 + 0.98560028 * noon) % 360);
+  const center = 1.9148 * Math.sin(anomaly) + 0.02 * Math.sin(2 * anomaly) + 0.0003 * Math.sin(3 * anomaly);
+  const longitude = toRad((toDeg(anomaly) + center + 180 + 102.9372) % 360);
+  const transit = J2000 + noon + 0.0053 * Math.sin(anomaly) - 0.0069 * Math.sin(2 * longitude);
+  const declination = Math.asin(Math.sin(longitude) * Math.sin(toRad(OBLIQUITY_DEG)));
+
+  const cosHourAngle = (Math.sin(toRad(HORIZON_DEG)) - Math.sin(toRad(lat)) * Math.sin(declination))
+    / (Math.cos(toRad(lat)) * Math.cos(declination));
+  if (cosHourAngle > 1) return { sunrise: null, sunset: null, polar: 'night' };
+  if (cosHourAngle < -1) return { sunrise: null, sunset: null, polar: 'day' };
+
+  const halfDay = toDeg(Math.acos(cosHourAngle)) / 360;
+  return { sunrise: fromJulian(transit - halfDay), sunset: fromJulian(transit + halfDay), polar: null };
+};
+
+export const isNight = (date, position) => {
+  const { sunrise, sunset, polar } = getSunTimes(date, position);
+  if (polar) return polar === 'night';
+  return date < sunrise || date > sunset;
+};
+
+// 'day' or 'night' for a display theme setting, resolving 'auto' from the sun at position
+export const resolveTheme = (theme, date, position) => {
+  if (theme !== 'auto') return theme;
+  return isNight(date, position) ? 'night' : 'day';
+};
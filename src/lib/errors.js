@@ -0,0 +1,58 @@
+import { t } from './i18n';
+
+// Typed failures the UI can explain and recover from
+
+export const ERROR_TYPES = {
+  LOCATION_DENIED: 'location-denied',
+  GPS_TIMEOUT: 'gps-timeout',
+  GEOCODER_RATE_LIMITED: 'geocoder-rate-limited',
+  ROUTING_UNAVAILABLE: 'routing-unavailable',
+  NO_ROUTE: 'no-route',
+  LIVE_SHARE_FAILED: 'live-share-failed',
+};
+
+// Catalog keys under errors.<key>.title / errors.<key>.detail
+const DESCRIPTION_KEYS = {
+  [ERROR_TYPES.LOCATION_DENIED]: 'locationDenied',
+  [ERROR_TYPES.GPS_TIMEOUT]: 'gpsTimeout',
+  [ERROR_TYPES.GEOCODER_RATE_LIMITED]: 'geocoderRateLimited',
+  [ERROR_TYPES.ROUTING_UNAVAILABLE]: 'routingUnavailable',
+  [ERROR_TYPES.NO_ROUTE]: 'noRoute',
+  [ERROR_TYPES.LIVE_SHARE_FAILED]: 'liveShareFailed',
+};
+
+export class DriveTimerError extends Error {
+  constructor(type, message = describeError(type).detail) {
+    super(message);
+    this.name = 'DriveTimerError';
+    this.type = type;
+  }
+}
+
+export const describeError = (type) => ({
+  title: t(`errors.${DESCRIPTION_KEYS[type]}.title`),
+  detail: t(`errors.${DESCRIPTION_KEYS[type]}.detail`),
+});
+
+// Maps a GeolocationPositionError (code 1 = denied, 3 = timeout) to an error type
+export const geolocationErrorType = (err) => (
+  err && err.code === 1 ? ERROR_TYPES.LOCATION_DENIED : ERROR_TYPES.GPS_TIMEOUT
+);
+
+// Exponential backoff: 5 s, 10 s, 20 s ... capped at 2 minutes
+const RETRY_BASE_MS = 5000;
+const RETRY_MAX_MS = 2 * 60 * 1000;
+
+export const getRetryDelay = (failures, base = RETRY_BASE_MS) => Math.min(RETRY_MAX_MS, base * 2 ** Math.max(0, failures - 1));
+
+// Runs fn, retrying with backoff while shouldRetry(err) holds, at most `retries` more times
+export const withRetry = async (fn, { retries = 2, base = 1000, shouldRetry = () => true, wait = (ms) => new Promise(r => setTimeout(r, ms)) } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= retries || !shouldRetry(err)) throw err;
+      await wait(getRetryDelay(attempt + 1, base));
+    }
+  }
+};
@@ -0,0 +1,58 @@
+import { getLocale, t } from './i18n';
+
+// Intl formatters are slow to build, so keep one per locale and options
+const formatters = new Map();
+const numberFormat = (options) => {
+  const key = `${getLocale()} ${JSON.stringify(options)}`;
+  if (!formatters.has(key)) formatters.set(key, new Intl.NumberFormat(getLocale(), options));
+  return formatters.get(key);
+};
+
+const oneDecimal = (unit) => numberFormat({ minimumFractionDigits: 1, maximumFractionDigits: 1, ...(unit && { style: 'unit', unit, unitDisplay: 'short' }) });
+
+// HH:MM:SS countdown from a number of seconds
+export const formatTime = (seconds) => {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = Math.floor(seconds % 60);
+  const pad = numberFormat({ minimumIntegerDigits: 2, useGrouping: false });
+  return `${pad.format(h)}:${pad.format(m)}:${pad.format(s)}`;
+};
+
+// Wall-clock time like "8:05 AM" (or "8:05" where the locale uses a 24-hour clock)
+export const formatClock = (date) => date.toLocaleTimeString(getLocale(), { hour: 'numeric', minute: '2-digit' });
+
+export const formatDate = (date) => date.toLocaleDateString(getLocale());
+
+// Name of a weekday (0 = Sunday) at an Intl width: 'narrow' gives "M", 'short' gives "Mon"
+export const formatWeekday = (day, width) => new Date(2026, 0, 4 + day).toLocaleDateString(getLocale(), { weekday: width });
+
+export const formatPercent = (ratio) => numberFormat({ style: 'percent' }).format(ratio);
+
+const KM_TO_MI = 0.621371;
+
+export const formatDistance = (km, units) => {
+  if (units === 'imperial') {
+    return oneDecimal('mile').format(km * KM_TO_MI);
+  }
+  return oneDecimal('kilometer').format(km);
+};
+
+// Distance as a plain number in the display units, and back to km, e.g. for inputs
+export const toDisplayDistance = (km, units) => (units === 'imperial' ? km * KM_TO_MI : km);
+
+export const fromDisplayDistance = (value, units) => (units === 'imperial' ? value / KM_TO_MI : value);
+
+export const formatSpeed = (kmh, units) => {
+  if (units === 'imperial') {
+    return { val: oneDecimal().format(kmh * KM_TO_MI), unit: t('units.mph') };
+  }
+  return { val: oneDecimal().format(kmh), unit: t('units.kmh') };
+};
+
+// Signed minutes like "3 min early" / "2 min late" from a delta in seconds
+export const formatArrivalDelta = (seconds) => {
+  const minutes = Math.round(Math.abs(seconds) / 60);
+  if (minutes === 0) return t('delta.onTime');
+  return t(seconds < 0 ? 'delta.early' : 'delta.late', { minutes: numberFormat({}).format(minutes) });
+};
@@ -0,0 +1,74 @@
+const EARTH_RADIUS_KM = 6371;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+// Great-circle distance between two { lat, lon } points, in km
+export const haversineKm = (a, b) => {
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+// Decodes a Google-style encoded polyline into [[lat, lon], ...]
+export const decodePolyline = (encoded, precision = 5) => {
+  const factor = 10 ** precision;
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lon = 0;
+
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += nextValue();
+    lon += nextValue();
+    points.push([lat / factor, lon / factor]);
+  }
+  return points;
+};
+
+// Flat-earth offset (km) of p from ref; accurate enough over a single route segment
+const toLocalKm = (p, ref) => ({
+  x: toRad(p.lon - ref.lon) * EARTH_RADIUS_KM * Math.cos(toRad(ref.lat)),
+  y: toRad(p.lat - ref.lat) * EARTH_RADIUS_KM,
+});
+
+// Cumulative distance (km) at each vertex of a [[lat, lon]] polyline
+export const measurePolyline = (polyline) => {
+  const cumulative = [0];
+  for (let i = 1; i < polyline.length; i++) {
+    const a = { lat: polyline[i - 1][0], lon: polyline[i - 1][1] };
+    const b = { lat: polyline[i][0], lon: polyline[i][1] };
+    cumulative.push(cumulative[i - 1] + haversineKm(a, b));
+  }
+  return cumulative;
+};
+
+// Nearest point on the polyline to `point`: { distance (km off the line), along (km from the start) },
+// or null if the polyline has no segments
+export const snapToPolyline = (point, polyline, cumulative) => {
+  let best = null;
+  for (let i = 0; i < polyline.length - 1; i++) {
+    const a = { lat: polyline[i][0], lon: polyline[i][1] };
+    const p = toLocalKm(point, a);
+    const q = toLocalKm({ lat: polyline[i + 1][0], lon: polyline[i + 1][1] }, a);
+    const lengthSq = q.x * q.x + q.y * q.y;
+    const t = lengthSq > 0 ? Math.min(1, Math.max(0, (p.x * q.x + p.y * q.y) / lengthSq)) : 0;
+    const distance = Math.hypot(p.x - t * q.x, p.y - t * q.y);
+    if (!best || distance < best.distance) {
+      best = { distance, along: cumulative[i] + t * (cumulative[i + 1] - cumulative[i]) };
+    }
+  }
+  return best;
+};
@@ -0,0 +1,234 @@
+import { t } from './i18n';
+
+// GPX and GeoJSON conversion for trip logs (see tripLog.js for the log shape)
+
+const GPX_NS = 'http://www.topografix.com/GPX/1/1';
+// Our own fields ride along in GPX extensions under this namespace
+const EXT_NS = 'urn:drivetimer:trip:1';
+
+const escapeXml = (str) => String(str)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Imported logs can be missing times and speeds; those are left out rather than written as 0 or 1970
+const isoTime = (ms) => (ms === null || ms === undefined ? null : new Date(ms).toISOString());
+const isNumber = (value) => typeof value === 'number' && !Number.isNaN(value);
+
+// An <extensions> block holding whichever of `lines` are present, or nothing if none are
+const extensions = (indent, lines) => {
+  const present = lines.filter(Boolean);
+  return present.length ? [`${indent}<extensions>`, ...present, `${indent}</extensions>`] : [];
+};
+
+export const toGpx = (log) => {
+  const waypoints = log.stops.map(stop => [
+    `  <wpt lat="${stop.coords.lat}" lon="${stop.coords.lon}">`,
+    `    <name>${escapeXml(stop.name)}</name>`,
+    ...extensions('    ', [
+      stop.target ? `      <dt:target>${isoTime(stop.target)}</dt:target>` : null,
+      stop.arrivedAt ? `      <dt:arrivedAt>${isoTime(stop.arrivedAt)}</dt:arrivedAt>` : null,
+    ]),
+    '  </wpt>',
+  ].join('\n'));
+
+  const routePoints = log.plannedRoute.map(([lat, lon]) => `    <rtept lat="${lat}" lon="${lon}" />`);
+
+  const trackPoints = log.breadcrumbs.map(p => [
+    `      <trkpt lat="${p.lat}" lon="${p.lon}">`,
+    p.time ? `        <time>${isoTime(p.time)}</time>` : null,
+    ...extensions('        ', [
+      isNumber(p.actualSpeed) ? `          <dt:actualSpeed>${p.actualSpeed.toFixed(2)}</dt:actualSpeed>` : null,
+      isNumber(p.requiredSpeed) ? `          <dt:requiredSpeed>${p.requiredSpeed.toFixed(2)}</dt:requiredSpeed>` : null,
+    ]),
+    '      </trkpt>',
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="DriveTimer" xmlns="${GPX_NS}" xmlns:dt="${EXT_NS}">`,
+    '  <metadata>',
+    `    <name>${escapeXml(log.name)}</name>`,
+    log.startedAt ? `    <time>${isoTime(log.startedAt)}</time>` : null,
+    ...extensions('    ', [
+      `      <dt:status>${log.status}</dt:status>`,
+      log.endedAt ? `      <dt:endedAt>${isoTime(log.endedAt)}</dt:endedAt>` : null,
+      isNumber(log.arrivalDelta) ? `      <dt:arrivalDelta>${log.arrivalDelta.toFixed(1)}</dt:arrivalDelta>` : null,
+    ]),
+    '  </metadata>',
+    ...waypoints,
+    '  <rte>',
+    `    <name>${escapeXml(t('tripLogs.plannedRoute'))}</name>`,
+    ...routePoints,
+    '  </rte>',
+    '  <trk>',
+    `    <name>${escapeXml(log.name)}</name>`,
+    '    <trkseg>',
+    ...trackPoints,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+  ].filter(line => line !== null).join('\n');
+};
+
+export const toGeoJson = (log) => ({
+  type: 'FeatureCollection',
+  properties: {
+    name: log.name,
+    startedAt: isoTime(log.startedAt),
+    endedAt: isoTime(log.endedAt),
+    status: log.status,
+    arrivalDelta: log.arrivalDelta,
+  },
+  features: [
+    ...log.stops.map(stop => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [stop.coords.lon, stop.coords.lat] },
+      properties: {
+        kind: 'stop',
+        name: stop.name,
+        target: isoTime(stop.target),
+        arrivedAt: isoTime(stop.arrivedAt),
+      },
+    })),
+    {
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: log.plannedRoute.map(([lat, lon]) => [lon, lat]) },
+      properties: { kind: 'plannedRoute' },
+    },
+    {
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: log.breadcrumbs.map(p => [p.lon, p.lat]) },
+      // coordTimes is the convention most GeoJSON tools use for per-point times
+      properties: {
+        kind: 'track',
+        coordTimes: log.breadcrumbs.map(p => isoTime(p.time)),
+        actualSpeeds: log.breadcrumbs.map(p => p.actualSpeed),
+        requiredSpeeds: log.breadcrumbs.map(p => p.requiredSpeed),
+      },
+    },
+  ],
+});
+
+const parseTime = (value) => {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : time;
+};
+
+const parseNumber = (value) => {
+  const num = parseFloat(value);
+  return Number.isNaN(num) ? null : num;
+};
+
+// Builds an imported log; anything the file doesn't carry is filled in from the track
+const buildImportedLog = ({ name, status, startedAt, endedAt, arrivalDelta, stops, plannedRoute, breadcrumbs }) => {
+  const first = breadcrumbs[0] || null;
+  const last = breadcrumbs[breadcrumbs.length - 1] || null;
+  const endPoint = last || (plannedRoute.length ? { lat: plannedRoute[plannedRoute.length - 1][0], lon: plannedRoute[plannedRoute.length - 1][1] } : null);
+  if (!endPoint && stops.length === 0) throw new Error(t('error.noTrackData'));
+
+  const fallbackStart = (first && first.time) || Date.now();
+  return {
+    id: Date.now(),
+    name: name || (stops.length ? stops[stops.length - 1].name : t('tripLogs.importedRoute')),
+    startedAt: startedAt || fallbackStart,
+    endedAt: endedAt || (last && last.time) || null,
+    status: status || 'imported',
+    arrivalDelta: arrivalDelta ?? null,
+    stops: stops.length ? stops : [{ name: name || t('tripLogs.routeEnd'), coords: { lat: endPoint.lat, lon: endPoint.lon }, target: null, arrivedAt: null }],
+    plannedRoute,
+    breadcrumbs,
+    imported: true,
+  };
+};
+
+export const parseGpx = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) throw new Error(t('error.invalidGpx'));
+
+  const all = (parent, tag) => Array.from(parent.getElementsByTagNameNS('*', tag));
+  const text1 = (parent, tag) => {
+    const el = all(parent, tag)[0];
+    return el ? el.textContent.trim() : null;
+  };
+  const latLon = (el) => ({ lat: parseFloat(el.getAttribute('lat')), lon: parseFloat(el.getAttribute('lon')) });
+
+  const metadata = all(doc, 'metadata')[0];
+  const trackName = all(doc, 'trk')[0] ? text1(all(doc, 'trk')[0], 'name') : null;
+
+  return buildImportedLog({
+    name: (metadata && text1(metadata, 'name')) || trackName,
+    status: metadata && text1(metadata, 'status'),
+    startedAt: metadata && parseTime(text1(metadata, 'time')),
+    endedAt: metadata && parseTime(text1(metadata, 'endedAt')),
+    arrivalDelta: metadata && parseNumber(text1(metadata, 'arrivalDelta')),
+    stops: all(doc, 'wpt').map(el => ({
+      name: text1(el, 'name') || t('tripLogs.waypoint'),
+      coords: latLon(el),
+      target: parseTime(text1(el, 'target')),
+      arrivedAt: parseTime(text1(el, 'arrivedAt')),
+    })),
+    plannedRoute: all(doc, 'rtept').map(el => {
+      const { lat, lon } = latLon(el);
+      return [lat, lon];
+    }),
+    breadcrumbs: all(doc, 'trkpt').map(el => ({
+      ...latLon(el),
+      time: parseTime(text1(el, 'time')),
+      actualSpeed: parseNumber(text1(el, 'actualSpeed')),
+      requiredSpeed: parseNumber(text1(el, 'requiredSpeed')) || 0,
+    })),
+  });
+};
+
+export const parseGeoJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(t('error.invalidGeoJson'));
+  }
+  const features = data.type === 'FeatureCollection' ? data.features : [data];
+  const props = data.properties || {};
+
+  const stops = [];
+  let plannedRoute = [];
+  let breadcrumbs = [];
+  for (const feature of features) {
+    const { geometry, properties = {} } = feature;
+    if (!geometry) continue;
+    if (geometry.type === 'Point') {
+      const [lon, lat] = geometry.coordinates;
+      stops.push({
+        name: properties.name || t('tripLogs.waypoint'),
+        coords: { lat, lon },
+        target: parseTime(properties.target),
+        arrivedAt: parseTime(properties.arrivedAt),
+      });
+    } else if (geometry.type === 'LineString' && properties.kind === 'plannedRoute') {
+      plannedRoute = geometry.coordinates.map(([lon, lat]) => [lat, lon]);
+    } else if (geometry.type === 'LineString') {
+      // Any other line is treated as the driven track
+      const times = properties.coordTimes || [];
+      breadcrumbs = geometry.coordinates.map(([lon, lat], i) => ({
+        lat,
+        lon,
+        time: parseTime(times[i]),
+        actualSpeed: properties.actualSpeeds ? properties.actualSpeeds[i] : null,
+        requiredSpeed: properties.requiredSpeeds ? properties.requiredSpeeds[i] : 0,
+      }));
+    }
+  }
+
+  return buildImportedLog({
+    name: props.name,
+    status: props.status,
+    startedAt: parseTime(props.startedAt),
+    endedAt: parseTime(props.endedAt),
+    arrivalDelta: props.arrivalDelta,
+    stops,
+    plannedRoute,
+    breadcrumbs,
+  });
+};
@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import { toGeoJson, toGpx } from './gpx';
+
+const importedLog = {
+  name: 'Imported route',
+  startedAt: Date.UTC(2026, 0, 15, 8),
+  endedAt: null,
+  status: 'imported',
+  arrivalDelta: null,
+  stops: [{ name: 'Route end', coords: { lat: 0, lon: 0.5 }, target: null, arrivedAt: null }],
+  plannedRoute: [[0, 0], [0, 0.5]],
+  breadcrumbs: [
+    { lat: 0, lon: 0, time: null, actualSpeed: null, requiredSpeed: null },
+    { lat: 0, lon: 0.1, time: Date.UTC(2026, 0, 15, 8, 5), actualSpeed: 60, requiredSpeed: 55 },
+  ],
+};
+
+describe('toGpx', () => {
+  it('leaves out missing times and speeds', () => {
+    const gpx = toGpx(importedLog);
+    expect(gpx).not.toContain('1970');
+    expect(gpx).not.toContain('<dt:target>');
+    expect(gpx).toContain('<wpt lat="0" lon="0.5">\n    <name>Route end</name>\n  </wpt>');
+    expect(gpx).toContain('<trkpt lat="0" lon="0">\n      </trkpt>');
+    expect(gpx).toContain('<time>2026-01-15T08:05:00.000Z</time>');
+    expect(gpx).toContain('<dt:requiredSpeed>55.00</dt:requiredSpeed>');
+  });
+});
+
+describe('toGeoJson', () => {
+  it('keeps missing times as null', () => {
+    const [stop, , track] = toGeoJson(importedLog).features;
+    expect(stop.properties.target).toBeNull();
+    expect(track.properties.coordTimes).toEqual([null, '2026-01-15T08:05:00.000Z']);
+  });
+});
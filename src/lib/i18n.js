@@ -0,0 +1,66 @@
+import en from '../locales/en.json';
+import es from '../locales/es.json';
+
+// Catalogs map flat keys to templates with {name} placeholders; keys missing from a
+// catalog fall back to English, and keys missing from English show up as themselves
+const CATALOGS = { en, es };
+
+export const LANGUAGES = [
+  { id: 'en', label: 'English' },
+  { id: 'es', label: 'Español' },
+];
+
+const STORAGE_KEY = 'driveTimer_language';
+// Regions that sign road distances and speeds in miles
+const IMPERIAL_REGIONS = ['US', 'GB', 'LR', 'MM'];
+
+export const browserLocales = () => (typeof navigator !== 'undefined' && navigator.languages?.length ? navigator.languages : ['en-US']);
+
+const baseLanguage = (locale) => locale.split('-')[0].toLowerCase();
+
+// First browser language we have a catalog for
+export const detectLanguage = (locales = browserLocales()) => {
+  const match = locales.map(baseLanguage).find(language => CATALOGS[language]);
+  return match || 'en';
+};
+
+export const loadLanguage = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return CATALOGS[stored] ? stored : detectLanguage();
+  } catch {
+    return detectLanguage();
+  }
+};
+
+let activeLanguage = loadLanguage();
+
+export const getLanguage = () => activeLanguage;
+
+export const setLanguage = (language) => {
+  activeLanguage = CATALOGS[language] ? language : 'en';
+  localStorage.setItem(STORAGE_KEY, activeLanguage);
+};
+
+// Locale for Intl formatting: the browser's own while it speaks the active language, so
+// regional conventions (es-MX vs es-ES) carry over, otherwise the bare language
+export const getLocale = () => browserLocales().find(locale => baseLanguage(locale) === activeLanguage) || activeLanguage;
+
+export const t = (key, params = {}) => {
+  const template = CATALOGS[activeLanguage][key] ?? CATALOGS.en[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+};
+
+// Defaults for first launch, before the user has picked units or a clock
+export const defaultUnits = (locale = browserLocales()[0]) => {
+  try {
+    return IMPERIAL_REGIONS.includes(new Intl.Locale(locale).maximize().region) ? 'imperial' : 'metric';
+  } catch {
+    return 'metric';
+  }
+};
+
+export const defaultClock24 = (locale = browserLocales()[0]) => {
+  const { hourCycle } = new Intl.DateTimeFormat(locale, { hour: 'numeric' }).resolvedOptions();
+  return hourCycle === 'h23' || hourCycle === 'h24';
+};
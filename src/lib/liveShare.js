@@ -0,0 +1,95 @@
+import { ERROR_TYPES } from './errors';
+import { t } from './i18n';
+
+// Live ETA sharing: posts the trip's progress as JSON to a user-configured endpoint
+//
+// Payload (version 1):
+//   { version, tripId, sentAt, status, position: { lat, lon }, speedKmh,
+//     stop: { index, count, name, coords, target }, remainingKm, projectedArrival }
+// Times are ISO strings; remainingKm and projectedArrival refer to the stop currently being driven to.
+// `npm run share-server` starts a local stand-in endpoint that prints what it receives.
+
+export const LIVE_SHARE_VERSION = 1;
+
+export const DEFAULT_LIVE_SHARE_SETTINGS = {
+  enabled: false,
+  endpoint: import.meta.env.VITE_LIVE_SHARE_URL || '',
+};
+
+// Posts at most this often while driving; status and leg changes go out immediately
+const SHARE_INTERVAL_MS = 15000;
+// Below this the measured speed says little about when we'll arrive (km/h)
+const MIN_PROJECTION_SPEED = 5;
+
+// Seconds until the current stop at the measured speed, falling back to typical traffic
+const projectSecondsToStop = (state) => {
+  if (state.actualSpeed !== null && state.actualSpeed >= MIN_PROJECTION_SPEED) {
+    return (state.distance / state.actualSpeed) * 3600;
+  }
+  return state.pace ? state.pace.typicalDuration : null;
+};
+
+export const buildLiveSharePayload = (state, { tripId, now = Date.now() }) => {
+  const stop = state.stops[state.legIndex];
+  let projectedArrival = null;
+  if (state.status === 'arrived') {
+    projectedArrival = new Date(now).toISOString();
+  } else if (state.status === 'active') {
+    const seconds = projectSecondsToStop(state);
+    if (seconds !== null) projectedArrival = new Date(now + seconds * 1000).toISOString();
+  }
+
+  return {
+    version: LIVE_SHARE_VERSION,
+    tripId,
+    sentAt: new Date(now).toISOString(),
+    status: state.status,
+    position: { lat: state.position.lat, lon: state.position.lon },
+    speedKmh: state.actualSpeed,
+    stop: {
+      index: state.legIndex,
+      count: state.stops.length,
+      name: stop.name,
+      coords: stop.coords,
+      target: stop.target.toISOString(),
+    },
+    remainingKm: state.status === 'arrived' ? 0 : state.distance,
+    projectedArrival,
+  };
+};
+
+export const postLiveShare = async (endpoint, payload) => {
+  const res = await fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    keepalive: true,
+  });
+  if (!res.ok) throw new Error(t('error.liveShareStatus', { status: res.status }));
+};
+
+// Trip engine listener; getSettings returns the current { enabled, endpoint }.
+// onError gets a typed error when a post fails and null once one succeeds again.
+export const createLiveSharer = ({ getSettings, getTripId, onError = () => {}, post = postLiveShare, now = Date.now }) => {
+  let lastSentAt = -Infinity;
+  let lastStatus = null;
+  let lastLeg = null;
+  let sending = false;
+
+  return (state) => {
+    const { enabled, endpoint } = getSettings();
+    if (!enabled || !endpoint || state.status === 'idle') return;
+
+    const changed = state.status !== lastStatus || state.legIndex !== lastLeg;
+    if (!changed && (sending || now() - lastSentAt < SHARE_INTERVAL_MS)) return;
+
+    lastSentAt = now();
+    lastStatus = state.status;
+    lastLeg = state.legIndex;
+    sending = true;
+    post(endpoint, buildLiveSharePayload(state, { tripId: getTripId(), now: lastSentAt }))
+      .then(() => onError(null))
+      .catch(err => onError({ type: ERROR_TYPES.LIVE_SHARE_FAILED, message: err.message, retryAt: null }))
+      .finally(() => { sending = false; });
+  };
+};
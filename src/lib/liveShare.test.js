@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { createLiveSharer } from './liveShare';
+import { ERROR_TYPES } from './errors';
+
+const state = {
+  status: 'active',
+  legIndex: 0,
+  position: { lat: 0, lon: 0 },
+  actualSpeed: 50,
+  distance: 10,
+  pace: null,
+  stops: [{ name: 'Destination', coords: { lat: 0, lon: 0.1 }, target: new Date(Date.UTC(2026, 0, 15, 9)) }],
+};
+
+const flush = async () => {
+  for (let i = 0; i < 10; i++) await Promise.resolve();
+};
+
+describe('createLiveSharer', () => {
+  it('reports failed posts and clears the error once one goes through', async () => {
+    let now = 0;
+    let fail = true;
+    const errors = [];
+    const share = createLiveSharer({
+      getSettings: () => ({ enabled: true, endpoint: 'http://localhost:8787' }),
+      getTripId: () => 'trip',
+      onError: (error) => errors.push(error),
+      post: async () => { if (fail) throw new Error('Live share endpoint returned 500'); },
+      now: () => now,
+    });
+
+    share(state);
+    await flush();
+    expect(errors).toEqual([{ type: ERROR_TYPES.LIVE_SHARE_FAILED, message: 'Live share endpoint returned 500', retryAt: null }]);
+
+    fail = false;
+    now = 15000;
+    share(state);
+    await flush();
+    expect(errors[1]).toBeNull();
+  });
+});
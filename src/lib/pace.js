@@ -0,0 +1,49 @@
+// Compares the time left with how long the route normally takes, and with the
+// fastest legal drive given per-segment speed limits.
+
+// Typical traffic runs below the posted limit; used when a segment has no limit data
+const TYPICAL_TO_LIMIT_RATIO = 0.8;
+
+// Rounds the implied limit up to the next 10 km/h, which is how limits are usually posted
+const estimateLimit = (segment) => {
+  const typicalKmh = segment.distance / (segment.duration / 3600);
+  return Math.ceil(typicalKmh / TYPICAL_TO_LIMIT_RATIO / 10) * 10;
+};
+
+// Shortest time (s) to drive the segments without exceeding any limit, or null without segment data
+export const calculateLegalDuration = (segments) => {
+  if (!segments || segments.length === 0) return null;
+  return segments.reduce((total, segment) => {
+    if (segment.distance <= 0 || segment.duration <= 0) return total + Math.max(0, segment.duration);
+    const limit = segment.maxspeed || estimateLimit(segment);
+    return total + (segment.distance / limit) * 3600;
+  }, 0);
+};
+
+// How far actual speed can stray from required speed and still count as on pace
+const ON_PACE_TOLERANCE = 0.05;
+
+// 'ahead', 'on-pace' or 'behind', or null when there's nothing to compare
+export const getPaceStatus = (actualKmh, requiredKmh) => {
+  if (actualKmh === null || requiredKmh <= 0) return null;
+  if (actualKmh > requiredKmh * (1 + ON_PACE_TOLERANCE)) return 'ahead';
+  if (actualKmh < requiredKmh * (1 - ON_PACE_TOLERANCE)) return 'behind';
+  return 'on-pace';
+};
+
+// delta is how much faster than typical we need to go: 0.12 means 12% faster, negative means slack.
+// remainingFraction scales the leg down to the part still ahead of us. estimatedLimits is set when
+// some segment had no posted limit, so impossible rests on limits guessed from typical speeds.
+export const calculatePace = (leg, remainingSeconds, remainingFraction = 1) => {
+  if (!leg || leg.duration <= 0 || remainingSeconds <= 0) return null;
+  const typicalDuration = leg.duration * remainingFraction;
+  const fullLegalDuration = calculateLegalDuration(leg.segments);
+  const legalDuration = fullLegalDuration === null ? null : fullLegalDuration * remainingFraction;
+  return {
+    typicalDuration,
+    delta: typicalDuration / remainingSeconds - 1,
+    legalDuration,
+    impossible: legalDuration !== null && legalDuration > remainingSeconds,
+    estimatedLimits: legalDuration !== null && leg.segments.some(segment => !segment.maxspeed),
+  };
+};
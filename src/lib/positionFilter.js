@@ -0,0 +1,59 @@
+import { haversineKm } from './geo';
+
+// Minimum expected drift between fixes, in m/s; grows with measured speed so a
+// moving car isn't dragged behind its own fixes
+const PROCESS_NOISE_MPS = 3;
+// A fix this far (m) from the estimate means we lost signal for a while; start over
+const RESET_DISTANCE_M = 500;
+const DEFAULT_ACCURACY_M = 10;
+// Weight of each new speed sample in the running average
+const SPEED_SMOOTHING = 0.3;
+
+// Smooths a stream of GPS fixes ({ lat, lon, accuracy (m), speed (m/s or null), timestamp })
+// with a simple Kalman filter weighted by each fix's reported accuracy. Returns a function
+// that takes the next fix and gives back { lat, lon, speed } with speed in km/h, or null
+// until it can be measured.
+export const createPositionFilter = () => {
+  let lat = null;
+  let lon = null;
+  let variance = 0; // m^2
+  let timestamp = null;
+  let speed = null;
+
+  return (fix) => {
+    const accuracy = Math.max(fix.accuracy || DEFAULT_ACCURACY_M, 1);
+
+    if (lat === null || haversineKm({ lat, lon }, fix) * 1000 > RESET_DISTANCE_M) {
+      lat = fix.lat;
+      lon = fix.lon;
+      variance = accuracy ** 2;
+      timestamp = fix.timestamp;
+      speed = null;
+      return { lat, lon, speed };
+    }
+
+    const elapsed = (fix.timestamp - timestamp) / 1000;
+    const noise = Math.max(PROCESS_NOISE_MPS, speed === null ? 0 : speed / 3.6);
+    if (elapsed > 0) variance += elapsed * noise ** 2;
+
+    const gain = variance / (variance + accuracy ** 2);
+    const prev = { lat, lon };
+    lat += gain * (fix.lat - lat);
+    lon += gain * (fix.lon - lon);
+    variance *= 1 - gain;
+
+    // Prefer the device's own speed; otherwise derive it from the smoothed track
+    let sample = null;
+    if (typeof fix.speed === 'number' && !Number.isNaN(fix.speed)) {
+      sample = fix.speed * 3.6;
+    } else if (elapsed > 0) {
+      sample = haversineKm(prev, { lat, lon }) / (elapsed / 3600);
+    }
+    if (sample !== null) {
+      speed = speed === null ? sample : speed + SPEED_SMOOTHING * (sample - speed);
+    }
+    if (elapsed > 0) timestamp = fix.timestamp;
+
+    return { lat, lon, speed };
+  };
+};
@@ -0,0 +1,87 @@
+import { createOsrmProvider } from './osrm';
+import { createValhallaProvider } from './valhalla';
+import { createMockProvider } from './mock';
+import { t } from '../i18n';
+
+// Every provider exposes the same async interface:
+//   route(points, { avoid })        -> { distance (km), duration (s), legs: [{ distance, duration, segments }], polyline: [[lat, lon]] } | null
+//                                      segments: [{ distance (km), duration (s), maxspeed (km/h or null) }]
+//   alternatives(points, { avoid }) -> [route], best first; may hold only one route, or none
+//   search(query, { limit, near })  -> [{ name, coords: { lat, lon } }], preferring results close to near
+//   reverse({ lat, lon })           -> { name, shortName }
+// avoid is { tolls, highways, ferries } (booleans) or null.
+// Labelled in the UI by the provider.<id> catalog keys
+export const PROVIDER_TYPES = [
+  { id: 'osrm', urlPlaceholder: 'https://router.project-osrm.org' },
+  { id: 'valhalla', urlPlaceholder: 'https://valhalla.example.com', requiresUrl: true },
+  { id: 'mock' },
+];
+
+const STORAGE_KEY = 'driveTimer_provider';
+const AVOID_STORAGE_KEY = 'driveTimer_avoid';
+
+// Labelled in the UI by the avoid.<id> catalog keys
+export const AVOID_OPTIONS = [
+  { id: 'tolls' },
+  { id: 'highways' },
+  { id: 'ferries' },
+];
+
+export const NO_AVOIDANCE = { tolls: false, highways: false, ferries: false };
+
+const DEFAULT_SETTINGS = {
+  type: import.meta.env.VITE_PROVIDER || 'osrm',
+  url: import.meta.env.VITE_PROVIDER_URL || '',
+};
+
+export const createProvider = ({ type, url }) => {
+  switch (type) {
+    case 'valhalla':
+      if (!url) throw new Error(t('error.valhallaUrl'));
+      return createValhallaProvider({ url });
+    case 'mock':
+      return createMockProvider();
+    case 'osrm':
+    default:
+      return createOsrmProvider({ url });
+  }
+};
+
+export const loadProviderSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored ? { ...DEFAULT_SETTINGS, ...stored } : DEFAULT_SETTINGS;
+  } catch {
+    return DEFAULT_SETTINGS;
+  }
+};
+
+// Fall back to public OSRM if the stored settings are no longer usable
+const initialProvider = () => {
+  try {
+    return createProvider(loadProviderSettings());
+  } catch {
+    return createOsrmProvider();
+  }
+};
+
+let activeProvider = initialProvider();
+
+export const getProvider = () => activeProvider;
+
+// Avoidance new trips start with, unless a saved destination remembers its own
+export const loadDefaultAvoid = () => {
+  try {
+    return { ...NO_AVOIDANCE, ...JSON.parse(localStorage.getItem(AVOID_STORAGE_KEY)) };
+  } catch {
+    return NO_AVOIDANCE;
+  }
+};
+
+export const setDefaultAvoid = (avoid) => localStorage.setItem(AVOID_STORAGE_KEY, JSON.stringify(avoid));
+
+// Validates by constructing the provider before persisting the settings
+export const setProviderSettings = (settings) => {
+  activeProvider = createProvider(settings);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+};
@@ -0,0 +1,96 @@
+import { haversineKm } from '../geo';
+
+// Deterministic offline provider for tests and demos: no network calls.
+// Routes are straight lines between points, driven at a constant speed; there are
+// no tolls, highways or ferries to avoid, so avoidance is ignored.
+const MOCK_SPEED_KMH = 50;
+const MOCK_SPEED_LIMIT_KMH = 60;
+const MOCK_ORIGIN = { lat: 34.0522, lon: -118.2437 };
+const SEGMENTS_PER_LEG = 10;
+// How far the alternative route bows out, as a fraction of the straight-line distance
+const DETOUR_BEND = 0.25;
+
+// Stable string hash so the same query always lands on the same spot
+const hashString = (str) => {
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    hash = (hash * 31 + str.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+};
+
+const interpolate = (a, b, steps) => {
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    points.push([a.lat + (b.lat - a.lat) * t, a.lon + (b.lon - a.lon) * t]);
+  }
+  return points;
+};
+
+export const createMockProvider = ({ origin = MOCK_ORIGIN, speedKmh = MOCK_SPEED_KMH, speedLimitKmh = MOCK_SPEED_LIMIT_KMH } = {}) => {
+  const straightRoute = (points) => {
+    if (points.length < 2) return null;
+
+    const legs = [];
+    const polyline = [];
+    for (let i = 1; i < points.length; i++) {
+      const distance = haversineKm(points[i - 1], points[i]);
+      const duration = (distance / speedKmh) * 3600;
+      const segment = { distance: distance / SEGMENTS_PER_LEG, duration: duration / SEGMENTS_PER_LEG, maxspeed: speedLimitKmh };
+      legs.push({ distance, duration, segments: Array(SEGMENTS_PER_LEG).fill(segment) });
+      polyline.push(...interpolate(points[i - 1], points[i], SEGMENTS_PER_LEG).slice(i === 1 ? 0 : 1));
+    }
+
+    return {
+      distance: legs.reduce((sum, leg) => sum + leg.distance, 0),
+      duration: legs.reduce((sum, leg) => sum + leg.duration, 0),
+      legs,
+      polyline,
+    };
+  };
+
+  return {
+    route: async (points) => straightRoute(points),
+
+    // The straight route plus, between two points, a longer one bowed out to the side
+    alternatives: async (points) => {
+      const direct = straightRoute(points);
+      if (!direct || points.length !== 2) return direct ? [direct] : [];
+      const [a, b] = points;
+      const bend = {
+        lat: (a.lat + b.lat) / 2 - (b.lon - a.lon) * DETOUR_BEND,
+        lon: (a.lon + b.lon) / 2 + (b.lat - a.lat) * DETOUR_BEND,
+      };
+      const detour = straightRoute([a, bend, b]);
+      const leg = {
+        distance: detour.distance,
+        duration: detour.duration,
+        segments: detour.legs.flatMap(l => l.segments),
+      };
+      return [direct, { ...detour, legs: [leg] }];
+    },
+
+    // Places each result within roughly 20 km of `near`, or of the origin
+    search: async (query, { limit = 5, near = origin } = {}) => {
+      const trimmed = query.trim();
+      if (!trimmed) return [];
+      const hash = hashString(trimmed.toLowerCase());
+      return Array.from({ length: limit }, (_, i) => {
+        const seed = hash + i * 7919;
+        return {
+          name: i === 0 ? `${trimmed}, Mock City` : `${trimmed} ${i + 1}, Mock City`,
+          coords: {
+            lat: near.lat + ((seed % 400) - 200) / 1000,
+            lon: near.lon + ((Math.floor(seed / 400) % 400) - 200) / 1000,
+          },
+        };
+      });
+    },
+
+    reverse: async ({ lat, lon }) => {
+      const label = `${lat.toFixed(4)}, ${lon.toFixed(4)}`;
+      return { name: `${label}, Mock City`, shortName: label };
+    },
+  };
+};
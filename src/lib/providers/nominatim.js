@@ -0,0 +1,42 @@
+import { DriveTimerError, ERROR_TYPES, withRetry } from '../errors';
+import { t } from '../i18n';
+
+// Nominatim geocoding, shared by the OSRM and Valhalla providers
+export const DEFAULT_NOMINATIM_URL = 'https://nominatim.openstreetmap.org';
+
+// Nominatim allows about one request a second and answers 429 past that; back off and retry
+const fetchJson = (url) => withRetry(async () => {
+  const res = await fetch(url);
+  if (res.status === 429) throw new DriveTimerError(ERROR_TYPES.GEOCODER_RATE_LIMITED);
+  if (!res.ok) throw new Error(t('error.searchFailed', { status: res.status }));
+  return res.json();
+}, { shouldRetry: (err) => err.type === ERROR_TYPES.GEOCODER_RATE_LIMITED });
+
+// Half-width (degrees) of the box results are biased toward, roughly 50 km
+const BIAS_DEGREES = 0.5;
+
+// Prefers results inside a box around `near` without excluding the rest
+const biasParams = (near) => {
+  if (!near) return '';
+  const box = [near.lon - BIAS_DEGREES, near.lat + BIAS_DEGREES, near.lon + BIAS_DEGREES, near.lat - BIAS_DEGREES];
+  return `&viewbox=${box.map(v => v.toFixed(4)).join(',')}&bounded=0`;
+};
+
+export const createNominatimGeocoder = (baseUrl = DEFAULT_NOMINATIM_URL) => ({
+  search: async (query, { limit = 5, near = null } = {}) => {
+    const data = await fetchJson(`${baseUrl}/search?format=json&q=${encodeURIComponent(query)}&limit=${limit}${biasParams(near)}`);
+    return data.map(item => ({
+      name: item.display_name,
+      coords: { lat: parseFloat(item.lat), lon: parseFloat(item.lon) },
+    }));
+  },
+
+  reverse: async ({ lat, lon }) => {
+    const data = await fetchJson(`${baseUrl}/reverse?format=json&lat=${lat}&lon=${lon}`);
+    const addr = data.address || {};
+    return {
+      name: data.display_name || null,
+      shortName: [addr.house_number, addr.road, addr.city || addr.town].filter(Boolean).join(' ') || null,
+    };
+  },
+});
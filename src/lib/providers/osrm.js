@@ -0,0 +1,65 @@
+import { createNominatimGeocoder } from './nominatim';
+import { DriveTimerError, ERROR_TYPES } from '../errors';
+import { t } from '../i18n';
+
+export const DEFAULT_OSRM_URL = 'https://router.project-osrm.org';
+
+// Per-segment annotations. OSRM has no speed limit annotation, so pace.js estimates limits from typical speeds.
+const toSegments = (annotation) => {
+  if (!annotation || !annotation.distance) return [];
+  return annotation.distance.map((distance, i) => ({
+    distance: distance / 1000,
+    duration: annotation.duration[i],
+    maxspeed: null,
+  }));
+};
+
+const toRoute = (route) => ({
+  distance: route.distance / 1000,
+  duration: route.duration,
+  legs: route.legs.map(leg => ({
+    distance: leg.distance / 1000,
+    duration: leg.duration,
+    segments: toSegments(leg.annotation),
+  })),
+  polyline: route.geometry.coordinates.map(coord => [coord[1], coord[0]]),
+});
+
+// Alternatives beyond the fastest route to ask for; OSRM only finds them between two points
+const MAX_ALTERNATIVES = 2;
+
+// OSRM excludes road classes the server's profile defines; the stock car profile has these
+const EXCLUDE_CLASSES = { tolls: 'toll', highways: 'motorway', ferries: 'ferry' };
+
+const toExclude = (avoid) => Object.keys(EXCLUDE_CLASSES).filter(key => avoid && avoid[key]).map(key => EXCLUDE_CLASSES[key]).join(',');
+
+export const createOsrmProvider = ({ url } = {}) => {
+  const baseUrl = (url || DEFAULT_OSRM_URL).replace(/\/+$/, '');
+
+  const fetchRoutes = async (points, alternatives, avoid) => {
+    const coords = points.map(p => `${p.lon},${p.lat}`).join(';');
+    const exclude = toExclude(avoid);
+    let res;
+    try {
+      res = await fetch(`${baseUrl}/route/v1/driving/${coords}?overview=full&geometries=geojson&annotations=duration,distance&alternatives=${alternatives}${exclude ? `&exclude=${exclude}` : ''}`);
+    } catch {
+      throw new DriveTimerError(ERROR_TYPES.ROUTING_UNAVAILABLE);
+    }
+    if (res.status === 429 || res.status >= 500) {
+      throw new DriveTimerError(ERROR_TYPES.ROUTING_UNAVAILABLE, t('error.routingStatus', { status: res.status }));
+    }
+    // A 400 with code NoRoute carries no routes, which callers treat as "no route found"
+    const data = await res.json();
+    // Servers whose profile lacks an excluded class reject the request rather than ignore it
+    if (data.code === 'InvalidValue' && exclude) throw new Error(t('error.cantAvoid'));
+    return (data.routes || []).map(toRoute);
+  };
+
+  return {
+    ...createNominatimGeocoder(),
+
+    route: async (points, { avoid = null } = {}) => (await fetchRoutes(points, false, avoid))[0] || null,
+
+    alternatives: (points, { avoid = null } = {}) => fetchRoutes(points, MAX_ALTERNATIVES, avoid),
+  };
+};
@@ -0,0 +1,68 @@
+import { createNominatimGeocoder } from './nominatim';
+import { decodePolyline } from '../geo';
+import { DriveTimerError, ERROR_TYPES } from '../errors';
+import { t } from '../i18n';
+
+// Valhalla encodes each leg's shape separately with 6 digits of precision
+const toRoute = (trip) => ({
+  distance: trip.summary.length,
+  duration: trip.summary.time,
+  legs: trip.legs.map(leg => ({
+    distance: leg.summary.length,
+    duration: leg.summary.time,
+    // Valhalla routes carry no speed limits, so maneuvers stand in as segments
+    segments: (leg.maneuvers || []).map(m => ({ distance: m.length, duration: m.time, maxspeed: null })),
+  })),
+  polyline: trip.legs.flatMap(leg => decodePolyline(leg.shape, 6)),
+});
+
+// Alternates beyond the best route to ask for; Valhalla only finds them between two points
+const MAX_ALTERNATES = 2;
+
+export const createValhallaProvider = ({ url }) => {
+  const baseUrl = url.replace(/\/+$/, '');
+
+  const fetchRoutes = async (points, alternates, avoid) => {
+    const body = {
+      locations: points.map(p => ({ lat: p.lat, lon: p.lon })),
+      costing: 'auto',
+      units: 'kilometers',
+    };
+    // Valhalla weighs road types from 0 (avoid) to 1 (prefer) rather than excluding them
+    if (avoid) {
+      body.costing_options = {
+        auto: {
+          ...(avoid.tolls && { use_tolls: 0 }),
+          ...(avoid.highways && { use_highways: 0 }),
+          ...(avoid.ferries && { use_ferry: 0 }),
+        },
+      };
+    }
+    if (alternates > 0 && points.length === 2) body.alternates = alternates;
+    let res;
+    try {
+      res = await fetch(`${baseUrl}/route`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+    } catch {
+      throw new DriveTimerError(ERROR_TYPES.ROUTING_UNAVAILABLE);
+    }
+    if (res.status === 429 || res.status >= 500) {
+      throw new DriveTimerError(ERROR_TYPES.ROUTING_UNAVAILABLE, t('error.routingStatus', { status: res.status }));
+    }
+    // "No path could be found" comes back as a 400 without a trip
+    const data = await res.json();
+    if (!data.trip || !data.trip.legs) return [];
+    return [data.trip, ...(data.alternates || []).map(alt => alt.trip)].map(toRoute);
+  };
+
+  return {
+    ...createNominatimGeocoder(),
+
+    route: async (points, { avoid = null } = {}) => (await fetchRoutes(points, 0, avoid))[0] || null,
+
+    alternatives: (points, { avoid = null } = {}) => fetchRoutes(points, MAX_ALTERNATES, avoid),
+  };
+};
@@ -0,0 +1,138 @@
+import { haversineKm } from './geo';
+import { t } from './i18n';
+
+const STORAGE_KEY = 'driveTimer_saved';
+export const SAVED_PLACES_VERSION = 3;
+// Places closer than this are treated as the same place (km)
+const SAME_PLACE_KM = 0.05;
+
+// Stored as { version, places } where a place looks like:
+//   { id, name, coords: { lat, lon }, label, tags: [string], defaultArrival: 'HH:MM' (24h) | null,
+//     avoid: { tolls, highways, ferries } | null (null = use the default) }
+// Version 1 was a bare array of { id, name, coords } that allowed duplicates; version 2 had no avoid.
+
+// Upgrades stored data one version at a time; MIGRATIONS[n] turns version n places into n + 1
+const MIGRATIONS = {
+  1: (places) => dedupe(places.map(p => ({ ...p, label: '', tags: [], defaultArrival: null }))),
+  2: (places) => places.map(p => ({ ...p, avoid: null })),
+};
+
+const dedupe = (places) => places.filter((place, i) => (
+  !places.slice(0, i).some(other => haversineKm(other.coords, place.coords) <= SAME_PLACE_KM)
+));
+
+const migrate = (stored) => {
+  let version = Array.isArray(stored) ? 1 : stored.version;
+  let places = Array.isArray(stored) ? stored : stored.places;
+  if (!Number.isInteger(version) || !Array.isArray(places)) throw new Error(t('saved.unrecognised'));
+  if (version > SAVED_PLACES_VERSION) throw new Error(t('saved.newer'));
+  for (; version < SAVED_PLACES_VERSION; version++) {
+    places = MIGRATIONS[version](places);
+  }
+  return places;
+};
+
+const store = (places) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: SAVED_PLACES_VERSION, places }));
+  return places;
+};
+
+// Throws if the stored data can't be read, e.g. when it was written by a newer version
+const read = () => {
+  let stored;
+  try {
+    stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    throw new Error(t('saved.unrecognised'));
+  }
+  if (!stored) return [];
+  const places = migrate(stored);
+  if (stored.version !== SAVED_PLACES_VERSION) store(places);
+  return places;
+};
+
+// Unreadable data is left in storage untouched: it loads as no places, and anything that
+// would write over it (adding, importing) throws instead. savedPlacesError says why.
+export const loadSavedPlaces = () => {
+  try {
+    return read();
+  } catch {
+    return [];
+  }
+};
+
+export const savedPlacesError = () => {
+  try {
+    read();
+    return null;
+  } catch (err) {
+    return `${err.message} ${t('saved.keptAsIs')}`;
+  }
+};
+
+export const placeLabel = (place) => place.label || place.name.split(',')[0];
+
+export const findSavedPlace = (places, coords) => (
+  places.find(p => haversineKm(p.coords, coords) <= SAME_PLACE_KM) || null
+);
+
+export const addSavedPlace = ({ name, coords }) => {
+  const places = read();
+  const existing = findSavedPlace(places, coords);
+  if (existing) throw new Error(t('saved.alreadySaved', { label: placeLabel(existing) }));
+  return store([...places, { id: Date.now(), name, coords, label: '', tags: [], defaultArrival: null, avoid: null }]);
+};
+
+export const updateSavedPlace = (id, changes) => store(read().map(p => (p.id === id ? { ...p, ...changes } : p)));
+
+export const removeSavedPlace = (id) => store(read().filter(p => p.id !== id));
+
+// Moves a place up (offset -1) or down (offset 1) the list
+export const moveSavedPlace = (id, offset) => {
+  const places = read();
+  const from = places.findIndex(p => p.id === id);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= places.length) return places;
+  const [place] = places.splice(from, 1);
+  places.splice(to, 0, place);
+  return store(places);
+};
+
+// "Work, School ,work" -> ['work', 'school']
+export const parseTags = (text) => [...new Set(text.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+
+export const exportSavedPlaces = () => JSON.stringify({ version: SAVED_PLACES_VERSION, places: read() }, null, 2);
+
+// Merges an exported list (any version) into the saved places, skipping places already saved.
+// Returns { places, added, skipped }.
+export const importSavedPlaces = (text) => {
+  let stored;
+  try {
+    stored = JSON.parse(text);
+  } catch {
+    throw new Error(t('saved.invalidFile'));
+  }
+  const incoming = migrate(stored);
+  const places = read();
+  let added = 0;
+  incoming.forEach((place, i) => {
+    const { lat, lon } = place.coords || {};
+    if (typeof place.name !== 'string' || !Number.isFinite(lat) || !Number.isFinite(lon)) {
+      throw new Error(t('saved.invalidPlace', { number: i + 1 }));
+    }
+    if (findSavedPlace(places, place.coords)) return;
+    places.push({
+      id: Date.now() + i,
+      name: place.name,
+      coords: { lat, lon },
+      label: typeof place.label === 'string' ? place.label : '',
+      tags: Array.isArray(place.tags) ? place.tags.filter(tag => typeof tag === 'string') : [],
+      defaultArrival: /^\d{2}:\d{2}$/.test(place.defaultArrival) ? place.defaultArrival : null,
+      avoid: place.avoid && typeof place.avoid === 'object'
+        ? { tolls: !!place.avoid.tolls, highways: !!place.avoid.highways, ferries: !!place.avoid.ferries }
+        : null,
+    });
+    added++;
+  });
+  return { places: store(places), added, skipped: incoming.length - added };
+};
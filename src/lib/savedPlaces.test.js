@@ -0,0 +1,48 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { SAVED_PLACES_VERSION, addSavedPlace, importSavedPlaces, loadSavedPlaces, savedPlacesError } from './savedPlaces';
+
+const createStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+};
+
+const place = { id: 1, name: 'Work', coords: { lat: 0, lon: 0 }, label: '', tags: [], defaultArrival: null, avoid: null };
+
+describe('saved places storage', () => {
+  beforeEach(() => {
+    vi.stubGlobal('localStorage', createStorage());
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('upgrades version 1 data in place', () => {
+    localStorage.setItem('driveTimer_saved', JSON.stringify([{ id: 1, name: 'Work', coords: { lat: 0, lon: 0 } }]));
+    expect(loadSavedPlaces()).toEqual([place]);
+    expect(JSON.parse(localStorage.getItem('driveTimer_saved')).version).toBe(SAVED_PLACES_VERSION);
+    expect(savedPlacesError()).toBeNull();
+  });
+
+  it("doesn't write over data from a newer version", () => {
+    const newer = JSON.stringify({ version: SAVED_PLACES_VERSION + 1, places: [place] });
+    localStorage.setItem('driveTimer_saved', newer);
+
+    expect(loadSavedPlaces()).toEqual([]);
+    expect(savedPlacesError()).toMatch(/newer version/);
+    expect(() => addSavedPlace({ name: 'Home', coords: { lat: 1, lon: 1 } })).toThrow(/newer version/);
+    expect(() => importSavedPlaces(JSON.stringify([{ name: 'Home', coords: { lat: 1, lon: 1 } }]))).toThrow(/newer version/);
+    expect(localStorage.getItem('driveTimer_saved')).toBe(newer);
+  });
+
+  it("doesn't write over data that isn't JSON", () => {
+    localStorage.setItem('driveTimer_saved', '{broken');
+    expect(savedPlacesError()).toMatch(/not recognised/);
+    expect(() => addSavedPlace({ name: 'Home', coords: { lat: 1, lon: 1 } })).toThrow();
+    expect(localStorage.getItem('driveTimer_saved')).toBe('{broken');
+  });
+});
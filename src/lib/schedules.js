@@ -0,0 +1,163 @@
+import { calculateDepartureTime } from './tripEngine';
+import { placeLabel } from './savedPlaces';
+import { loadDefaultAvoid } from './providers';
+import { t } from './i18n';
+
+// Recurring trips to saved places, with a reminder when it's time to leave
+//
+// A schedule looks like:
+//   { id, placeId, arrival: 'HH:MM' (24h), days: [0-6, Sunday = 0], autoStart, enabled, lastNotified }
+// lastNotified is the target (epoch ms) of the last occurrence we reminded about.
+//
+// Browsers can't wake a closed page at a set time, so reminders are raised while the app is open
+// (in the background is fine). Opening one loads the app with ?schedule=<id>&at=<target ms>.
+
+const STORAGE_KEY = 'driveTimer_schedules';
+// Departure times are estimated once an occurrence is this close (ms)
+const LOOKAHEAD_MS = 3 * 60 * 60 * 1000;
+// Failed route estimates are retried after this long (ms)
+const RETRY_MS = 5 * 60 * 1000;
+
+export const loadSchedules = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const store = (schedules) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(schedules));
+  return schedules;
+};
+
+export const saveSchedule = (schedule) => {
+  const schedules = loadSchedules();
+  const exists = schedules.some(s => s.id === schedule.id);
+  return store(exists ? schedules.map(s => (s.id === schedule.id ? schedule : s)) : [...schedules, schedule]);
+};
+
+export const updateSchedule = (id, changes) => store(loadSchedules().map(s => (s.id === id ? { ...s, ...changes } : s)));
+
+export const removeSchedule = (id) => store(loadSchedules().filter(s => s.id !== id));
+
+// Next arrival target strictly after `now` on one of the schedule's days, null if it has none
+export const nextOccurrence = (schedule, now = Date.now()) => {
+  if (schedule.days.length === 0) return null;
+  const [hours, minutes] = schedule.arrival.split(':').map(Number);
+  for (let offset = 0; offset <= 7; offset++) {
+    const target = new Date(now);
+    target.setDate(target.getDate() + offset);
+    target.setHours(hours, minutes, 0, 0);
+    if (target.getTime() > now && schedule.days.includes(target.getDay())) return target;
+  }
+  return null;
+};
+
+export const scheduleUrl = (schedule, target) => {
+  const url = new URL(window.location.href);
+  url.hash = '';
+  url.search = '';
+  url.searchParams.set('schedule', schedule.id);
+  url.searchParams.set('at', target.getTime());
+  return url.toString();
+};
+
+// Reads ?schedule=&at= from a reminder; returns { schedule, place, target } or null
+export const parseScheduleUrl = (places, href = window.location.href) => {
+  const params = new URL(href).searchParams;
+  const id = Number(params.get('schedule'));
+  const schedule = loadSchedules().find(s => s.id === id);
+  const place = schedule && places.find(p => p.id === schedule.placeId);
+  if (!place) return null;
+  const at = Number(params.get('at'));
+  const target = at > Date.now() ? new Date(at) : nextOccurrence(schedule);
+  return target ? { schedule, place, target } : null;
+};
+
+export const clearScheduleUrl = () => {
+  const url = new URL(window.location.href);
+  if (!url.searchParams.has('schedule')) return;
+  url.searchParams.delete('schedule');
+  url.searchParams.delete('at');
+  window.history.replaceState(null, '', url);
+};
+
+const browserLocate = () => new Promise((resolve, reject) => {
+  navigator.geolocation.getCurrentPosition(
+    (pos) => resolve({ lat: pos.coords.latitude, lon: pos.coords.longitude }),
+    reject,
+    { maximumAge: 5 * 60 * 1000 },
+  );
+});
+
+// Shows a notification through the service worker when there is one, so clicks
+// can reopen the app; falls back to a page notification
+export const showReminder = async ({ title, body, url, tag }) => {
+  const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+  const options = { body, tag, icon: './icon-192.png', data: { url } };
+  if (registration) {
+    await registration.showNotification(title, options);
+    return;
+  }
+  const notification = new Notification(title, options);
+  notification.onclick = () => {
+    window.focus();
+    window.location.href = url;
+  };
+};
+
+// Call check() periodically. Each enabled schedule's next occurrence gets a departure time
+// from a route estimate, and a reminder goes out once that time has come.
+export const createReminderScheduler = ({
+  router,
+  getPlaces,
+  getBufferSeconds,
+  notify = showReminder,
+  locate = browserLocate,
+  now = Date.now,
+}) => {
+  // occurrence key -> { departAt } or { retryAt } after a failed estimate
+  const estimates = new Map();
+
+  const estimate = async (schedule, place, target) => {
+    const key = `${schedule.id}:${target.getTime()}`;
+    const cached = estimates.get(key);
+    if (cached && (cached.departAt || now() < cached.retryAt)) return cached.departAt || null;
+    try {
+      const route = await router.route([await locate(), place.coords], { avoid: place.avoid || loadDefaultAvoid() });
+      if (!route) throw new Error(t('error.noRoute'));
+      const stops = [{ coords: place.coords, target }];
+      const departAt = calculateDepartureTime(stops, route.legs.map(leg => leg.duration), getBufferSeconds());
+      estimates.set(key, { departAt });
+      return departAt;
+    } catch {
+      estimates.set(key, { retryAt: now() + RETRY_MS });
+      return null;
+    }
+  };
+
+  const check = async () => {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    const places = getPlaces();
+    for (const schedule of loadSchedules()) {
+      const place = places.find(p => p.id === schedule.placeId);
+      const target = schedule.enabled && place && nextOccurrence(schedule, now());
+      if (!target || schedule.lastNotified === target.getTime()) continue;
+      if (target.getTime() - now() > LOOKAHEAD_MS) continue;
+
+      const departAt = await estimate(schedule, place, target);
+      if (!departAt || departAt.getTime() > now()) continue;
+
+      updateSchedule(schedule.id, { lastNotified: target.getTime() });
+      await notify({
+        title: t('schedules.reminderTitle', { place: placeLabel(place) }),
+        body: t(schedule.autoStart ? 'schedules.reminderBodyAuto' : 'schedules.reminderBody', { time: schedule.arrival }),
+        url: scheduleUrl(schedule, target),
+        tag: `schedule-${schedule.id}`,
+      });
+    }
+  };
+
+  return { check };
+};
@@ -0,0 +1,73 @@
+import { haversineKm } from './geo';
+import { placeLabel } from './savedPlaces';
+import { t } from './i18n';
+
+// Destination search: raw coordinate parsing and the merged suggestion list
+
+// One coordinate: decimal ("-118.2437", "118.2437 W") or degrees/minutes/seconds ("118°14'37\"W")
+const COORD = String.raw`([NSEW])?\s*(-?\d+(?:\.\d+)?)\s*°?\s*(?:(\d+(?:\.\d+)?)\s*['′]\s*)?(?:(\d+(?:\.\d+)?)\s*(?:"|″|'')\s*)?([NSEW])?`;
+const COORD_PAIR = new RegExp(`^\\s*${COORD}\\s*[,;\\s]\\s*${COORD}\\s*$`, 'i');
+
+const toDecimal = (before, deg, min, sec, after) => {
+  const hemisphere = (before || after || '').toUpperCase();
+  const magnitude = Math.abs(parseFloat(deg)) + (parseFloat(min) || 0) / 60 + (parseFloat(sec) || 0) / 3600;
+  const negative = deg.startsWith('-') || hemisphere === 'S' || hemisphere === 'W';
+  return { value: negative ? -magnitude : magnitude, hemisphere };
+};
+
+// "34.0522, -118.2437", "34.0522 N 118.2437 W" or "34°3'8\"N 118°14'37\"W" -> { lat, lon }; null otherwise
+export const parseCoordinates = (text) => {
+  const match = text.match(COORD_PAIR);
+  if (!match) return null;
+  let first = toDecimal(...match.slice(1, 6));
+  let second = toDecimal(...match.slice(6, 11));
+  // Longitude given first, e.g. "118.24 W, 34.05 N"
+  if (/[EW]/.test(first.hemisphere) || /[NS]/.test(second.hemisphere)) [first, second] = [second, first];
+  const lat = first.value;
+  const lon = second.value;
+  if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  return { lat, lon };
+};
+
+export const formatCoordinates = ({ lat, lon }) => `${lat.toFixed(5)}, ${lon.toFixed(5)}`;
+
+const matches = (query, ...texts) => texts.some(text => text && text.toLowerCase().includes(query));
+
+// Search results near a saved or recent place are dropped in favour of that place (km)
+const SAME_PLACE_KM = 0.05;
+
+// One list for the destination dropdown: pasted coordinates, then matching saved and recent
+// places, then search results nearest first. Items look like
+//   { id, kind: 'coords' | 'saved' | 'recent' | 'search', name, label, coords, distance (km from near), place }
+export const buildSuggestions = ({ query, results, saved, recent, near, limit = 8 }) => {
+  const text = query.trim().toLowerCase();
+  const withDistance = (item) => ({ ...item, distance: near ? haversineKm(near, item.coords) : null });
+  const items = [];
+
+  const coords = parseCoordinates(query);
+  if (coords) {
+    items.push(withDistance({ id: 'coords', kind: 'coords', name: formatCoordinates(coords), label: t('setup.useCoordinates'), coords }));
+  }
+
+  saved
+    .filter(place => !text || matches(text, place.label, place.name, ...place.tags))
+    .forEach(place => items.push(withDistance({
+      id: `saved-${place.id}`, kind: 'saved', name: place.name, label: placeLabel(place), coords: place.coords, place,
+    })));
+
+  recent
+    .filter(place => (!text || matches(text, place.name)) && !items.some(i => haversineKm(i.coords, place.coords) <= SAME_PLACE_KM))
+    .forEach(place => items.push(withDistance({
+      id: `recent-${place.id}`, kind: 'recent', name: place.name, label: place.name.split(',')[0], coords: place.coords, place,
+    })));
+
+  results
+    .filter(result => !items.some(i => haversineKm(i.coords, result.coords) <= SAME_PLACE_KM))
+    .map(result => withDistance({
+      id: `search-${result.coords.lat},${result.coords.lon}`, kind: 'search', name: result.name, label: result.name.split(',')[0], coords: result.coords,
+    }))
+    .sort((a, b) => (a.distance ?? 0) - (b.distance ?? 0))
+    .forEach(item => items.push(item));
+
+  return items.slice(0, limit);
+};
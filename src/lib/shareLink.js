@@ -0,0 +1,67 @@
+import { t } from './i18n';
+
+// Shareable trip links: the setup card state packed into a URL parameter
+//
+// The `trip` parameter holds base64url JSON:
+//   { v: 1, n: name, c: [lat, lon], t: target ms, u: units, w: [{ n, c, t }] }
+// Arrival targets are absolute times so the link means the same thing wherever it's opened.
+
+const PARAM = 'trip';
+const VERSION = 1;
+
+const toBase64Url = (text) => btoa(String.fromCharCode(...new TextEncoder().encode(text)))
+  .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (encoded) => {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, ch => ch.charCodeAt(0)));
+};
+
+// Coordinates to ~1 m keep the link short
+const packCoords = ({ lat, lon }) => [Number(lat.toFixed(5)), Number(lon.toFixed(5))];
+
+const unpackCoords = (c) => {
+  if (!Array.isArray(c) || !Number.isFinite(c[0]) || !Number.isFinite(c[1])) throw new Error(t('error.linkCoords'));
+  return { lat: c[0], lon: c[1] };
+};
+
+// stops: [{ name, coords, target: Date }], the destination last
+export const createShareLink = ({ stops, units }, baseUrl = window.location.href) => {
+  const pack = (stop) => ({ n: stop.name, c: packCoords(stop.coords), t: stop.target.getTime() });
+  const payload = { v: VERSION, ...pack(stops[stops.length - 1]), u: units };
+  if (stops.length > 1) payload.w = stops.slice(0, -1).map(pack);
+
+  const url = new URL(baseUrl);
+  url.hash = '';
+  url.search = '';
+  url.searchParams.set(PARAM, toBase64Url(JSON.stringify(payload)));
+  return url.toString();
+};
+
+// Returns { stops, units } from a URL carrying a trip, null if it has none; throws on a damaged link
+export const parseShareLink = (href = window.location.href) => {
+  const encoded = new URL(href).searchParams.get(PARAM);
+  if (!encoded) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(encoded));
+  } catch {
+    throw new Error(t('error.linkDamaged'));
+  }
+  if (payload.v !== VERSION) throw new Error(t('error.linkNewer'));
+
+  const unpack = (s) => ({ name: String(s.n || ''), coords: unpackCoords(s.c), target: new Date(s.t) });
+  return {
+    stops: [...(payload.w || []), payload].map(unpack),
+    units: payload.u === 'metric' ? 'metric' : 'imperial',
+  };
+};
+
+// Drops the trip parameter once it has been applied so a reload doesn't re-apply it
+export const clearShareLink = () => {
+  const url = new URL(window.location.href);
+  if (!url.searchParams.has(PARAM)) return;
+  url.searchParams.delete(PARAM);
+  window.history.replaceState(null, '', url);
+};
@@ -0,0 +1,49 @@
+import { getLocale } from './i18n';
+
+// Audio output for voice cues: Web Speech API, with short tones as the fallback
+
+// Frequencies (Hz) played in sequence for each cue type
+const TONES = {
+  arrival: [660, 880, 1100],
+  behind: [440, 330],
+  milestone: [660, 880],
+  speed: [550],
+};
+const TONE_MS = 150;
+
+let audioContext = null;
+
+export const playTone = (type) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return;
+  if (!audioContext) audioContext = new AudioContextClass();
+
+  const start = audioContext.currentTime;
+  (TONES[type] || TONES.speed).forEach((frequency, i) => {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.2, start + (i * TONE_MS) / 1000);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + ((i + 1) * TONE_MS) / 1000);
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(start + (i * TONE_MS) / 1000);
+    oscillator.stop(start + ((i + 1) * TONE_MS) / 1000);
+  });
+};
+
+// Returns false when speech isn't available so the caller can fall back
+export const speak = (text) => {
+  if (!('speechSynthesis' in window)) return false;
+  // Newer information wins over anything still queued
+  window.speechSynthesis.cancel();
+  const utterance = new SpeechSynthesisUtterance(text);
+  // Cues are written in the app's language, so read them with a voice for it
+  utterance.lang = getLocale();
+  window.speechSynthesis.speak(utterance);
+  return true;
+};
+
+// Cues raised together are spoken as one utterance; quiet mode keeps the tones but never speaks
+export const announce = (cues, { quiet }) => {
+  if (quiet || !speak(cues.map(cue => cue.text).join(' '))) playTone(cues[0].type);
+};
@@ -0,0 +1,61 @@
+// Planned breaks and vehicle range
+//
+// A break looks like { id, kind, minutes, leg, left (s still to spend) } where leg is the
+// index of the stop it happens before. Break time is taken out of the time available for
+// driving, so required speeds are based on driving time only. A vehicle is
+// { rangeKm (range at departure), fullRangeKm }; charging and fuel breaks refill it.
+
+// Labelled in the UI by the break.<id> catalog keys
+export const BREAK_KINDS = [
+  { id: 'charging', refills: true },
+  { id: 'fuel', refills: true },
+  { id: 'coffee' },
+  { id: 'pickup' },
+];
+
+const VEHICLE_STORAGE_KEY = 'driveTimer_vehicle';
+
+export const NO_VEHICLE = { rangeKm: null, fullRangeKm: null };
+
+// Below this measured speed (km/h) we count the time as spent on a break
+export const STOPPED_KMH = 3;
+
+export const loadVehicle = () => {
+  try {
+    return { ...NO_VEHICLE, ...JSON.parse(localStorage.getItem(VEHICLE_STORAGE_KEY)) };
+  } catch {
+    return NO_VEHICLE;
+  }
+};
+
+export const saveVehicle = (vehicle) => localStorage.setItem(VEHICLE_STORAGE_KEY, JSON.stringify(vehicle));
+
+export const refills = (brk) => BREAK_KINDS.some(kind => kind.id === brk.kind && kind.refills);
+
+export const createBreak = (leg = 0) => ({ id: Date.now(), kind: 'coffee', minutes: 10, leg, left: 600 });
+
+// Seconds of break time still ahead on one leg
+export const breakSecondsOnLeg = (breaks, leg) => breaks
+  .filter(brk => brk.leg === leg)
+  .reduce((sum, brk) => sum + brk.left, 0);
+
+// Break seconds per leg for legCount legs, e.g. to add to typical leg durations
+export const breakSecondsByLeg = (breaks, legCount) => Array.from({ length: legCount }, (_, leg) => breakSecondsOnLeg(breaks, leg));
+
+// A refilling break still to come on this leg or a later one
+export const hasRefillAhead = (breaks, leg) => breaks.some(brk => refills(brk) && brk.leg >= leg && brk.left > 0);
+
+// Spends `seconds` of stationary time on the current leg's next unfinished break.
+// Returns { breaks, finished } where finished is the break that just ran out, if any.
+export const spendBreakTime = (breaks, leg, seconds) => {
+  const index = breaks.findIndex(brk => brk.leg === leg && brk.left > 0);
+  if (index === -1) return { breaks, finished: null };
+  const left = Math.max(0, breaks[index].left - seconds);
+  const updated = breaks.map((brk, i) => (i === index ? { ...brk, left } : brk));
+  return { breaks: updated, finished: left === 0 ? updated[index] : null };
+};
+
+// True when the distance left can't be covered on the range left and no refill is planned
+export const exceedsRange = ({ distanceKm, rangeLeft, breaks, leg = 0 }) => (
+  rangeLeft !== null && distanceKm > rangeLeft && !hasRefillAhead(breaks, leg)
+);
@@ -0,0 +1,55 @@
+import { measurePolyline } from './geo';
+
+export const TILE_URL = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+
+// Zooms worth having offline while driving; kept small out of respect for the OSM tile servers
+const PREFETCH_ZOOMS = [12, 13, 14];
+const MAX_PREFETCH_TILES = 300;
+// Sample the route often enough that no tile at the highest zoom is skipped
+const SAMPLE_EVERY_KM = 0.5;
+
+const toTile = (lat, lon, zoom) => {
+  const n = 2 ** zoom;
+  const x = Math.floor(((lon + 180) / 360) * n);
+  const latRad = (lat * Math.PI) / 180;
+  const y = Math.floor(((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * n);
+  return { x, y };
+};
+
+// Same subdomain choice Leaflet makes, so prefetched URLs match what the map requests
+const tileUrl = (x, y, z) => TILE_URL
+  .replace('{s}', 'abc'[Math.abs(x + y) % 3])
+  .replace('{z}', z)
+  .replace('{x}', x)
+  .replace('{y}', y);
+
+export const tilesAlongRoute = (polyline) => {
+  if (polyline.length === 0) return [];
+  const cumulative = measurePolyline(polyline);
+  const samples = [];
+  for (let i = 1; i < polyline.length; i++) {
+    const [lat1, lon1] = polyline[i - 1];
+    const [lat2, lon2] = polyline[i];
+    const steps = Math.max(1, Math.ceil((cumulative[i] - cumulative[i - 1]) / SAMPLE_EVERY_KM));
+    for (let step = 0; step < steps; step++) {
+      samples.push([lat1 + ((lat2 - lat1) * step) / steps, lon1 + ((lon2 - lon1) * step) / steps]);
+    }
+  }
+  samples.push(polyline[polyline.length - 1]);
+
+  const urls = new Set();
+  for (const zoom of PREFETCH_ZOOMS) {
+    for (const [lat, lon] of samples) {
+      const { x, y } = toTile(lat, lon, zoom);
+      urls.add(tileUrl(x, y, zoom));
+      if (urls.size >= MAX_PREFETCH_TILES) return [...urls];
+    }
+  }
+  return [...urls];
+};
+
+// Asks the service worker to cache tiles along the route; a no-op without one
+export const prefetchRouteTiles = (polyline) => {
+  if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) return;
+  navigator.serviceWorker.controller.postMessage({ type: 'CACHE_TILES', urls: tilesAlongRoute(polyline) });
+};
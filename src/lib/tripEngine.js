@@ -0,0 +1,471 @@
+import { haversineKm, measurePolyline, snapToPolyline } from './geo';
+import { calculatePace } from './pace';
+import { createPositionFilter } from './positionFilter';
+import { ERROR_TYPES, describeError, geolocationErrorType, getRetryDelay } from './errors';
+import { STOPPED_KMH, breakSecondsOnLeg, exceedsRange, refills, spendBreakTime } from './stopBudget';
+import { t } from './i18n';
+
+// How close (km) we need to be to a stop to count as arrived
+export const ARRIVAL_RADIUS_KM = 0.05;
+// Geocoded stops often sit in the middle of a building or lot, away from the road, so we also
+// arrive once the route says we're this close (km), or once we've stopped within PARKED_ARRIVAL_KM
+export const ROUTE_ARRIVAL_KM = 0.075;
+export const PARKED_ARRIVAL_KM = 0.2;
+// Distance (km) from the route line that counts as off route
+export const OFF_ROUTE_KM = 0.1;
+// Backtracking (km) along the route that counts as heading the wrong way
+export const WRONG_WAY_KM = 0.15;
+// Consecutive off-route or wrong-way fixes before we ask for a new route
+const REROUTE_AFTER_FIXES = 3;
+// Typical durations go stale; refetch the route at least this often (ms)
+const ROUTE_MAX_AGE_MS = 10 * 60 * 1000;
+// Without a fix for this long (ms) we report the GPS signal as lost
+const GPS_STALE_MS = 30 * 1000;
+// Fixes less accurate than this (m) don't count towards the distance driven on the range
+const RANGE_MAX_ACCURACY_M = 50;
+// Steps implying more than this (km/h) are GPS jumps, not driving
+const RANGE_MAX_SPEED_KMH = 250;
+// Past the final deadline we keep tracking so a late arrival still gets recorded, for this long (ms)
+export const OVERDUE_LIMIT_MS = 2 * 60 * 60 * 1000;
+
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (id) => clearInterval(id),
+};
+
+// Streams fixes as { lat, lon, accuracy (m), speed (m/s or null), timestamp }; returns an unsubscribe
+export const browserGeolocation = {
+  watch: (onFix, onError) => {
+    const id = navigator.geolocation.watchPosition(
+      (pos) => onFix({
+        lat: pos.coords.latitude,
+        lon: pos.coords.longitude,
+        accuracy: pos.coords.accuracy,
+        speed: pos.coords.speed,
+        timestamp: pos.timestamp,
+      }),
+      onError,
+      { enableHighAccuracy: true, maximumAge: 1000 }
+    );
+    return () => navigator.geolocation.clearWatch(id);
+  },
+};
+
+// Refresh more often as the deadline gets closer
+export const getRefreshInterval = (remainingSeconds) => {
+  // Once the deadline has gone there's no countdown left to keep up with
+  if (remainingSeconds <= 0) return 5;
+  if (remainingSeconds <= 60) return 1;
+  if (remainingSeconds <= 120) return 3;
+  if (remainingSeconds <= 300) return 5;
+  return 30;
+};
+
+export const calculateRequiredSpeed = (distanceKm, remainingSeconds) => {
+  if (remainingSeconds <= 0 || distanceKm <= 0) return 0;
+  return distanceKm / (remainingSeconds / 3600);
+};
+
+// Average speed a whole route needs to make every stop's target; the tightest stop decides.
+// Planned breaks (see stopBudget) don't count as driving time.
+export const calculateRouteRequiredSpeed = (route, stops, now = Date.now(), breaks = []) => {
+  let distance = 0;
+  let breakSeconds = 0;
+  return route.legs.reduce((required, leg, i) => {
+    distance += leg.distance;
+    breakSeconds += breakSecondsOnLeg(breaks, i);
+    return Math.max(required, calculateRequiredSpeed(distance, (stops[i].target.getTime() - now) / 1000 - breakSeconds));
+  }, 0);
+};
+
+// Latest time we can leave and still make every stop, given each leg's typical duration (s)
+export const calculateDepartureTime = (stops, legDurations, bufferSeconds = 0) => {
+  let elapsed = 0;
+  let latest = Infinity;
+  stops.forEach((stop, i) => {
+    elapsed += legDurations[i] || 0;
+    latest = Math.min(latest, stop.target.getTime() - elapsed * 1000);
+  });
+  return new Date(latest - bufferSeconds * 1000);
+};
+
+export const validateStops = (stops) => {
+  for (let i = 1; i < stops.length; i++) {
+    if (stops[i].target.getTime() < stops[i - 1].target.getTime()) {
+      throw new Error(t('error.stopOrder'));
+    }
+  }
+};
+
+// Drives a trip through its stops ({ name, coords, target }) and notifies
+// subscribers on every state change. Status goes from 'idle' to 'active',
+// then ends as 'arrived', 'expired' or 'stopped'. Once the final deadline passes
+// the trip is marked overdue but keeps going, so a late arrival still ends as
+// 'arrived'; it only expires OVERDUE_LIMIT_MS after the deadline.
+// Routing and GPS failures show up as routeError / gpsError ({ type, message,
+// retryAt }) and are retried with backoff; without any route the distance falls
+// back to a straight line to the stop and state.estimate is set.
+// An initialRoute (same shape as router.route results) is followed instead of
+// fetching one, until we leave it. resumeFrom takes a snapshot() from an earlier
+// engine, e.g. after a page reload, and carries on from its leg and route.
+// avoid ({ tolls, highways, ferries }) is passed to the router on every fetch.
+// Planned breaks are spent while we're stationary and left out of the driving time;
+// with a vehicle, rangeWarning is set once the rest of the route outruns its range.
+export const createTripEngine = ({
+  stops,
+  origin,
+  router,
+  avoid = null,
+  breaks = [],
+  vehicle = null,
+  initialRoute = null,
+  resumeFrom = null,
+  geolocation = browserGeolocation,
+  clock = systemClock,
+}) => {
+  const listeners = new Set();
+  let refreshTimer = null;
+  let countdownTimer = null;
+  let stopWatching = null;
+  let routing = false;
+  let disposed = false;
+  let retryTimer = null;
+  let routeFailures = 0;
+  let gpsRetryTimer = null;
+  let gpsFailures = 0;
+  let lastFixAt = 0;
+  let lastTickAt = 0;
+  // Where the range was last measured from, and the last accurate fix: { lat, lon, time }
+  let rangeAnchor = null;
+  let lastRangeFix = null;
+  // Last fetched route prepared for local progress tracking, see prepareRoute
+  let activeRoute = null;
+  let offRouteFixes = 0;
+  let wrongWayFixes = 0;
+  const filterFix = createPositionFilter();
+
+  let state = {
+    status: 'idle',
+    stops,
+    legIndex: resumeFrom ? resumeFrom.legIndex : 0,
+    position: resumeFrom ? resumeFrom.position : origin,
+    distance: 0, // km, current leg
+    requiredSpeed: 0, // km/h, current leg
+    actualSpeed: null, // km/h, measured from GPS
+    pace: null, // current leg vs typical traffic, see calculatePace
+    timeLeft: 0, // seconds until the current leg's deadline
+    overdue: false, // the final deadline has passed
+    breaks: resumeFrom && resumeFrom.breaks ? resumeFrom.breaks : breaks,
+    distanceLeft: 0, // km, rest of the route
+    rangeLeft: resumeFrom && resumeFrom.rangeLeft !== undefined ? resumeFrom.rangeLeft : (vehicle ? vehicle.rangeKm : null), // km, null without a vehicle
+    rangeWarning: false,
+    nextRefresh: 0,
+    routePolyline: [],
+    offRoute: false,
+    estimate: false, // distance is a straight line, not along a route
+    routeError: null,
+    gpsError: null,
+  };
+
+  const emit = (changes) => {
+    state = { ...state, ...changes };
+    listeners.forEach(listener => listener(state));
+  };
+
+  const secondsUntil = (target) => (target.getTime() - clock.now()) / 1000;
+  // Time left to drive the current leg once its remaining breaks are taken out
+  const drivingSeconds = () => secondsUntil(stops[state.legIndex].target) - breakSecondsOnLeg(state.breaks, state.legIndex);
+
+  const rangeChanges = (distanceLeft) => ({
+    distanceLeft,
+    rangeWarning: exceedsRange({ distanceKm: distanceLeft, rangeLeft: state.rangeLeft, breaks: state.breaks, leg: state.legIndex }),
+  });
+
+  // Stationary time goes towards the current leg's next break; a finished charging or fuel stop refills the range
+  const spendBreaks = (seconds) => {
+    if (state.actualSpeed === null || state.actualSpeed >= STOPPED_KMH) return;
+    const { breaks: updated, finished } = spendBreakTime(state.breaks, state.legIndex, seconds);
+    if (updated === state.breaks) return;
+    const refilled = finished && vehicle && vehicle.fullRangeKm && refills(finished);
+    emit({ breaks: updated, ...(refilled && { rangeLeft: vehicle.fullRangeKm }) });
+    updateProgress();
+  };
+
+  const halt = () => {
+    clock.clearTimeout(refreshTimer);
+    clock.clearTimeout(retryTimer);
+    clock.clearTimeout(gpsRetryTimer);
+    clock.clearInterval(countdownTimer);
+    if (stopWatching) stopWatching();
+  };
+
+  const finish = (status) => {
+    halt();
+    emit({ status });
+  };
+
+  const tick = () => {
+    const now = clock.now();
+    spendBreaks((now - lastTickAt) / 1000);
+    lastTickAt = now;
+    emit({ timeLeft: Math.max(0, secondsUntil(stops[state.legIndex].target)) });
+    if (!state.gpsError && clock.now() - lastFixAt > GPS_STALE_MS) {
+      emit({ gpsError: { type: ERROR_TYPES.GPS_TIMEOUT, message: describeError(ERROR_TYPES.GPS_TIMEOUT).detail, retryAt: null } });
+    }
+    const overdueSeconds = -secondsUntil(stops[stops.length - 1].target);
+    if (overdueSeconds >= 0 && !state.overdue) emit({ overdue: true });
+    if (overdueSeconds * 1000 >= OVERDUE_LIMIT_MS) finish('expired');
+  };
+
+  // Move on to the next leg once we reach the current stop; returns true if we did.
+  // snap is where updateProgress put us on the route, if anywhere.
+  const advanceIfArrived = (snap) => {
+    const { legIndex, position, actualSpeed } = state;
+    const straightLine = haversineKm(position, stops[legIndex].coords);
+    const atRouteEnd = snap !== null && snap.distance <= OFF_ROUTE_KM && state.distance <= ROUTE_ARRIVAL_KM;
+    const parkedNearby = straightLine <= PARKED_ARRIVAL_KM && actualSpeed !== null && actualSpeed < STOPPED_KMH;
+    if (straightLine > ARRIVAL_RADIUS_KM && !atRouteEnd && !parkedNearby) return false;
+    if (legIndex === stops.length - 1) {
+      finish('arrived');
+    } else {
+      emit({ legIndex: legIndex + 1 });
+    }
+    return true;
+  };
+
+  // Leg ends are measured along the polyline so they line up with snapped positions
+  const prepareRoute = (route, fromLeg, pinned = false) => {
+    const cumulative = measurePolyline(route.polyline);
+    const scale = route.distance > 0 ? cumulative[cumulative.length - 1] / route.distance : 1;
+    let total = 0;
+    const legEnds = route.legs.map(leg => (total += leg.distance) * scale);
+    return { ...route, cumulative, legEnds, fromLeg, pinned, fetchedAt: clock.now(), furthestAlong: 0 };
+  };
+
+  // Recomputes the current leg's remaining distance locally; returns the snap, if any
+  const updateProgress = () => {
+    const { position, legIndex } = state;
+    if (!activeRoute) {
+      // Nothing to measure along, so estimate from the straight line to the stop
+      const distance = haversineKm(position, stops[legIndex].coords);
+      const laterLegs = stops.slice(legIndex + 1).reduce((sum, stop, i) => sum + haversineKm(stops[legIndex + i].coords, stop.coords), 0);
+      emit({
+        distance,
+        requiredSpeed: calculateRequiredSpeed(distance, drivingSeconds()),
+        pace: null,
+        offRoute: false,
+        estimate: true,
+        ...rangeChanges(distance + laterLegs),
+      });
+      return null;
+    }
+    const offset = legIndex - activeRoute.fromLeg;
+    const leg = activeRoute.legs[offset];
+    const legStart = offset > 0 ? activeRoute.legEnds[offset - 1] : 0;
+    const legEnd = activeRoute.legEnds[offset];
+    const snap = snapToPolyline(position, activeRoute.polyline, activeRoute.cumulative);
+
+    const distance = snap ? Math.max(0, legEnd - Math.max(snap.along, legStart)) : leg.distance;
+    const fraction = legEnd > legStart ? distance / (legEnd - legStart) : 0;
+    const remainingSeconds = drivingSeconds();
+    const laterLegs = activeRoute.legs.slice(offset + 1).reduce((sum, later) => sum + later.distance, 0);
+    emit({
+      distance,
+      requiredSpeed: calculateRequiredSpeed(distance, remainingSeconds),
+      pace: calculatePace(leg, remainingSeconds, fraction),
+      offRoute: snap !== null && snap.distance > OFF_ROUTE_KM,
+      estimate: false,
+      ...rangeChanges(distance + laterLegs),
+    });
+    return snap;
+  };
+
+  const reroute = async () => {
+    if (routing) return;
+    routing = true;
+    clock.clearTimeout(retryTimer);
+    retryTimer = null;
+    const { position, legIndex } = state;
+    let route = null;
+    let routeError = null;
+    try {
+      route = await router.route([position, ...stops.slice(legIndex).map(s => s.coords)], { avoid });
+      if (!route) routeError = { type: ERROR_TYPES.NO_ROUTE, message: describeError(ERROR_TYPES.NO_ROUTE).detail };
+    } catch (err) {
+      routeError = { type: err.type || ERROR_TYPES.ROUTING_UNAVAILABLE, message: err.message || t('error.routingFailed') };
+    }
+    routing = false;
+    if (disposed || state.status !== 'active') return;
+
+    offRouteFixes = 0;
+    wrongWayFixes = 0;
+    if (route) {
+      routeFailures = 0;
+      activeRoute = prepareRoute(route, legIndex);
+      emit({ routePolyline: route.polyline, routeError: null });
+    } else {
+      // Offline or router down: keep estimating from the route we have (or a straight line) and try again later
+      routeFailures++;
+      const delay = getRetryDelay(routeFailures);
+      retryTimer = clock.setTimeout(reroute, delay);
+      emit({ routeError: { ...routeError, retryAt: clock.now() + delay } });
+    }
+    updateProgress();
+  };
+
+  const watchPosition = () => {
+    gpsRetryTimer = null;
+    stopWatching = geolocation.watch(handleFix, handleGpsError);
+  };
+
+  // Until fixes come back we keep the last known position; watching starts over after a backoff
+  const handleGpsError = (err) => {
+    if (state.status !== 'active' || gpsRetryTimer !== null) return;
+    if (stopWatching) stopWatching();
+    stopWatching = null;
+    gpsFailures++;
+    const delay = getRetryDelay(gpsFailures);
+    gpsRetryTimer = clock.setTimeout(watchPosition, delay);
+    const type = geolocationErrorType(err);
+    emit({ gpsError: { type, message: describeError(type).detail, retryAt: clock.now() + delay } });
+  };
+
+  // Distance (km) driven since the last fix good enough to measure from; 0 for jitter and jumps
+  const rangeStep = (fix, position) => {
+    if (fix.accuracy > RANGE_MAX_ACCURACY_M) return 0;
+    const previous = lastRangeFix;
+    lastRangeFix = { ...position, time: fix.timestamp };
+    if (!previous) {
+      rangeAnchor = lastRangeFix;
+      return 0;
+    }
+    // Faster than any car since the previous fix is a GPS jump, not driving; start over from here
+    const hours = (fix.timestamp - previous.time) / 3600000;
+    if (hours <= 0) return 0;
+    if (haversineKm(previous, position) / hours > RANGE_MAX_SPEED_KMH) {
+      rangeAnchor = lastRangeFix;
+      return 0;
+    }
+    // Movement inside the fix's own error circle is jitter; keep measuring from the same spot
+    const km = haversineKm(rangeAnchor, position);
+    if (km * 1000 < (fix.accuracy || 0)) return 0;
+    rangeAnchor = lastRangeFix;
+    return km;
+  };
+
+
+  const handleFix = (fix) => {
+    if (state.status !== 'active') return;
+    const { lat, lon, speed } = filterFix(fix);
+    lastFixAt = clock.now();
+    gpsFailures = 0;
+    const driven = state.rangeLeft === null ? 0 : rangeStep(fix, { lat, lon });
+    emit({
+      position: { lat, lon },
+      actualSpeed: speed,
+      gpsError: null,
+      ...(driven > 0 && { rangeLeft: Math.max(0, state.rangeLeft - driven) }),
+    });
+
+    let snap = updateProgress();
+    if (advanceIfArrived(snap)) {
+      if (state.status !== 'active') return;
+      snap = updateProgress();
+    }
+
+    // Only go back to the router once we've clearly left the route or turned around
+    if (!activeRoute || !snap) return;
+    activeRoute.furthestAlong = Math.max(activeRoute.furthestAlong, snap.along);
+    offRouteFixes = snap.distance > OFF_ROUTE_KM ? offRouteFixes + 1 : 0;
+    wrongWayFixes = activeRoute.furthestAlong - snap.along > WRONG_WAY_KM ? wrongWayFixes + 1 : 0;
+    const leftRoute = offRouteFixes >= REROUTE_AFTER_FIXES || wrongWayFixes >= REROUTE_AFTER_FIXES;
+    if (leftRoute && retryTimer === null) reroute();
+  };
+
+  const refresh = async () => {
+    const next = getRefreshInterval(secondsUntil(stops[state.legIndex].target));
+    emit({ nextRefresh: next });
+    refreshTimer = clock.setTimeout(refresh, next * 1000);
+
+    const routeDue = !activeRoute || (!activeRoute.pinned && clock.now() - activeRoute.fetchedAt > ROUTE_MAX_AGE_MS);
+    // A failed fetch already has its own retry scheduled
+    if (routeDue && retryTimer === null) {
+      await reroute();
+    } else {
+      updateProgress();
+    }
+  };
+
+  return {
+    getState: () => state,
+
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    // Resolves once the first position and route have been fetched
+    start: async () => {
+      if (state.status !== 'idle') return;
+      emit({ status: 'active', timeLeft: Math.max(0, secondsUntil(stops[state.legIndex].target)) });
+      countdownTimer = clock.setInterval(tick, 1000);
+      // Until the first fix arrives we route from the origin
+      lastFixAt = clock.now();
+      lastTickAt = lastFixAt;
+      watchPosition();
+      if (resumeFrom && resumeFrom.route) {
+        activeRoute = prepareRoute(resumeFrom.route, resumeFrom.route.fromLeg, resumeFrom.route.pinned);
+        emit({ routePolyline: resumeFrom.route.polyline });
+      } else if (initialRoute) {
+        activeRoute = prepareRoute(initialRoute, 0, true);
+        emit({ routePolyline: initialRoute.polyline });
+      }
+      await refresh();
+    },
+
+    stop: () => {
+      if (state.status === 'active') finish('stopped');
+    },
+
+    // Lets go of timers, GPS and listeners without ending the trip, so whatever was saved
+    // for resuming stays valid (e.g. when StrictMode unmounts the component running it)
+    dispose: () => {
+      disposed = true;
+      halt();
+      listeners.clear();
+    },
+
+    // Skips the backoff and retries whatever is failing right away
+    retry: () => {
+      if (state.status !== 'active') return;
+      // Covers both a backoff in progress and a watch that has simply gone quiet
+      if (state.gpsError) {
+        clock.clearTimeout(gpsRetryTimer);
+        if (stopWatching) stopWatching();
+        watchPosition();
+      }
+      if (state.routeError) reroute();
+    },
+
+    // Plain data that resumeFrom accepts
+    snapshot: () => ({
+      legIndex: state.legIndex,
+      position: state.position,
+      avoid,
+      breaks: state.breaks,
+      vehicle,
+      rangeLeft: state.rangeLeft,
+      route: activeRoute && {
+        distance: activeRoute.distance,
+        duration: activeRoute.duration,
+        legs: activeRoute.legs,
+        polyline: activeRoute.polyline,
+        fromLeg: activeRoute.fromLeg,
+        pinned: activeRoute.pinned,
+      },
+    }),
+  };
+};
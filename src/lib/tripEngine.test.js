@@ -0,0 +1,345 @@
+import { describe, expect, it } from 'vitest';
+import { OVERDUE_LIMIT_MS, calculateRequiredSpeed, createTripEngine, getRefreshInterval } from './tripEngine';
+import { resolveArrivalTime } from './arrivalTime';
+import { ERROR_TYPES } from './errors';
+import { createTripRecorder } from './tripLog';
+
+// Timers that only move when advance() is called
+const createFakeClock = (start) => {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map();
+  const schedule = (fn, ms, repeat) => {
+    const id = nextId++;
+    timers.set(id, { fn, at: now + ms, every: repeat ? ms : null });
+    return id;
+  };
+  return {
+    now: () => now,
+    setTimeout: (fn, ms) => schedule(fn, ms, false),
+    clearTimeout: (id) => timers.delete(id),
+    setInterval: (fn, ms) => schedule(fn, ms, true),
+    clearInterval: (id) => timers.delete(id),
+    advance: async (ms) => {
+      const end = now + ms;
+      for (;;) {
+        const due = [...timers.entries()].filter(([, t]) => t.at <= end).sort((a, b) => a[1].at - b[1].at)[0];
+        if (!due) break;
+        const [id, timer] = due;
+        now = timer.at;
+        if (timer.every) timer.at += timer.every;
+        else timers.delete(id);
+        timer.fn();
+        await flush();
+      }
+      now = end;
+    },
+  };
+};
+
+const flush = async () => {
+  for (let i = 0; i < 10; i++) await Promise.resolve();
+};
+
+const createFakeGeolocation = () => {
+  let onFix = null;
+  let onError = null;
+  return {
+    watch: (fix, error) => {
+      onFix = fix;
+      onError = error;
+      return () => { onFix = null; };
+    },
+    fix: (lat, lon, timestamp, { speed = null, accuracy = 5 } = {}) => onFix && onFix({ lat, lon, accuracy, speed, timestamp }),
+    fail: (code) => onError && onError({ code }),
+  };
+};
+
+const ORIGIN = { lat: 0, lon: 0 };
+const DESTINATION = { lat: 0, lon: 0.5 };
+
+// Straight east along the equator, ~55.6 km at a typical 50 km/h
+const straightRoute = (from, to) => {
+  const distance = Math.abs(to.lon - from.lon) * 111.19;
+  const duration = (distance / 50) * 3600;
+  return { distance, duration, legs: [{ distance, duration, segments: [] }], polyline: [[from.lat, from.lon], [to.lat, to.lon]] };
+};
+
+const workingRouter = { route: async ([from, ...stops]) => straightRoute(from, stops[stops.length - 1]) };
+
+const startTrip = async ({ start, target, router = workingRouter, ...options }) => {
+  const clock = createFakeClock(start);
+  const geolocation = createFakeGeolocation();
+  const engine = createTripEngine({
+    stops: [{ name: 'Destination', coords: DESTINATION, target: new Date(target) }],
+    origin: ORIGIN,
+    router,
+    geolocation,
+    clock,
+    ...options,
+  });
+  await engine.start();
+  return { engine, clock, geolocation };
+};
+
+describe('calculateRequiredSpeed', () => {
+  it('divides distance by the time left', () => {
+    expect(calculateRequiredSpeed(50, 3600)).toBe(50);
+  });
+
+  it('is zero once the deadline has passed', () => {
+    expect(calculateRequiredSpeed(50, 0)).toBe(0);
+    expect(calculateRequiredSpeed(50, -10)).toBe(0);
+  });
+});
+
+describe('getRefreshInterval', () => {
+  it('refreshes more often close to the deadline', () => {
+    expect(getRefreshInterval(3600)).toBe(30);
+    expect(getRefreshInterval(300)).toBe(5);
+    expect(getRefreshInterval(120)).toBe(3);
+    expect(getRefreshInterval(60)).toBe(1);
+    expect(getRefreshInterval(-60)).toBe(5);
+  });
+});
+
+describe('midnight rollover', () => {
+  const lateEvening = new Date(2026, 0, 15, 23, 50).getTime();
+
+  it('reads an earlier clock time as tomorrow', () => {
+    const target = resolveArrivalTime({ mode: 'clock', hh: '12', mm: '05', ss: '00', ampm: 'AM', timeZone: '' }, { now: lateEvening });
+    expect(target.getTime()).toBe(new Date(2026, 0, 16, 0, 5).getTime());
+  });
+
+  it('keeps counting down across midnight', async () => {
+    const target = new Date(2026, 0, 16, 0, 50).getTime();
+    const { engine, clock, geolocation } = await startTrip({ start: lateEvening, target });
+    expect(engine.getState().timeLeft).toBe(3600);
+
+    await clock.advance(20 * 60 * 1000);
+    geolocation.fix(0, 0.1, clock.now());
+    const state = engine.getState();
+    expect(new Date(clock.now()).getDate()).toBe(16);
+    expect(state.status).toBe('active');
+    expect(state.timeLeft).toBe(40 * 60);
+    expect(state.requiredSpeed).toBeCloseTo(state.distance / (40 / 60), 5);
+    engine.stop();
+  });
+});
+
+describe('arrival deadline', () => {
+  it('keeps tracking past the final deadline, then expires', async () => {
+    const start = Date.UTC(2026, 0, 15, 8);
+    const { engine, clock } = await startTrip({ start, target: start + 10 * 60 * 1000 });
+    await clock.advance(9 * 60 * 1000);
+    expect(engine.getState().overdue).toBe(false);
+
+    await clock.advance(2 * 60 * 1000);
+    expect(engine.getState().status).toBe('active');
+    expect(engine.getState().overdue).toBe(true);
+
+    await clock.advance(OVERDUE_LIMIT_MS);
+    expect(engine.getState().status).toBe('expired');
+  });
+
+  it('records a late arrival as arrived with a positive delta', async () => {
+    const start = Date.UTC(2026, 0, 15, 8);
+    const target = start + 10 * 60 * 1000;
+    const { engine, clock, geolocation } = await startTrip({ start, target });
+    let log = null;
+    const recorder = createTripRecorder({ now: clock.now, onFinish: (finished) => { log = finished; } });
+    engine.subscribe(recorder.record);
+
+    await clock.advance(15 * 60 * 1000);
+    geolocation.fix(DESTINATION.lat, DESTINATION.lon, clock.now());
+    expect(engine.getState().status).toBe('arrived');
+    expect(log.status).toBe('arrived');
+    expect(log.arrivalDelta).toBe(5 * 60);
+  });
+
+  it('arrives once a fix reaches the stop before the deadline', async () => {
+    const start = Date.UTC(2026, 0, 15, 8);
+    const { engine, clock, geolocation } = await startTrip({ start, target: start + 3600 * 1000 });
+    await clock.advance(60 * 1000);
+    geolocation.fix(DESTINATION.lat, DESTINATION.lon, clock.now());
+    expect(engine.getState().status).toBe('arrived');
+  });
+});
+
+describe('arrival detection', () => {
+  const start = Date.UTC(2026, 0, 15, 8);
+  const target = start + 3600 * 1000;
+  // A stop geocoded ~150 m north of the road the route ends on
+  const offRoad = { lat: 0.00135, lon: 0.5 };
+  const roadRouter = { route: async ([from]) => straightRoute(from, DESTINATION) };
+
+  const startOffRoadTrip = () => startTrip({ start, target, router: roadRouter, stops: [{ name: 'Destination', coords: offRoad, target: new Date(target) }] });
+
+  it('arrives near the end of the route even if the stop is off the road', async () => {
+    const { engine, clock, geolocation } = await startOffRoadTrip();
+    await clock.advance(60 * 1000);
+    geolocation.fix(0, 0.4995, clock.now(), { speed: 20 });
+    expect(engine.getState().status).toBe('arrived');
+  });
+
+  it('arrives once stopped close to the stop', async () => {
+    const { engine, clock, geolocation } = await startTrip({ start, target });
+    await clock.advance(60 * 1000);
+    geolocation.fix(0.0015, 0.4995, clock.now(), { speed: 0 });
+    await clock.advance(5000);
+    geolocation.fix(0.0015, 0.5, clock.now(), { speed: 0 });
+    expect(engine.getState().status).toBe('arrived');
+  });
+
+  it("doesn't arrive while driving past nearby", async () => {
+    const { engine, clock, geolocation } = await startTrip({ start, target });
+    await clock.advance(60 * 1000);
+    geolocation.fix(0.0015, 0.4995, clock.now(), { speed: 40 });
+    await clock.advance(5000);
+    geolocation.fix(0.0015, 0.5, clock.now(), { speed: 40 });
+    expect(engine.getState().status).toBe('active');
+    engine.stop();
+  });
+});
+
+describe('route failures', () => {
+  const start = Date.UTC(2026, 0, 15, 8);
+  const target = start + 3600 * 1000;
+
+  it('falls back to a straight-line estimate when the router rejects', async () => {
+    const router = { route: async () => { throw new Error('Network down'); } };
+    const { engine } = await startTrip({ start, target, router });
+    const state = engine.getState();
+    expect(state.status).toBe('active');
+    expect(state.estimate).toBe(true);
+    expect(state.routeError.message).toBe('Network down');
+    expect(state.routeError.retryAt).toBeGreaterThan(start);
+    expect(state.distance).toBeCloseTo(55.6, 0);
+    engine.stop();
+  });
+
+  it('reports a missing route as NO_ROUTE', async () => {
+    const { engine } = await startTrip({ start, target, router: { route: async () => null } });
+    expect(engine.getState().routeError.type).toBe(ERROR_TYPES.NO_ROUTE);
+    engine.stop();
+  });
+
+  it('retries with backoff and recovers once the router is back', async () => {
+    let calls = 0;
+    const router = {
+      route: async (points) => {
+        calls++;
+        if (calls < 3) throw new Error('Network down');
+        return workingRouter.route(points);
+      },
+    };
+    const { engine, clock } = await startTrip({ start, target, router });
+    expect(calls).toBe(1);
+
+    await clock.advance(5000);
+    expect(calls).toBe(2);
+    expect(engine.getState().routeError).not.toBeNull();
+
+    // The second failure waits twice as long
+    await clock.advance(5000);
+    expect(calls).toBe(2);
+    await clock.advance(5000);
+    expect(calls).toBe(3);
+
+    const state = engine.getState();
+    expect(state.routeError).toBeNull();
+    expect(state.estimate).toBe(false);
+    expect(state.routePolyline).toHaveLength(2);
+    engine.stop();
+  });
+});
+
+describe('GPS failures', () => {
+  const start = Date.UTC(2026, 0, 15, 8);
+  const target = start + 3600 * 1000;
+
+  it('restarts the position watch on retry after the signal goes quiet', async () => {
+    const { engine, clock, geolocation } = await startTrip({ start, target });
+    geolocation.fix(0, 0, clock.now());
+    await clock.advance(31 * 1000);
+    expect(engine.getState().gpsError.type).toBe(ERROR_TYPES.GPS_TIMEOUT);
+
+    let watches = 0;
+    const watch = geolocation.watch;
+    geolocation.watch = (...args) => {
+      watches++;
+      return watch(...args);
+    };
+    engine.retry();
+    expect(watches).toBe(1);
+
+    geolocation.fix(0, 0.001, clock.now());
+    expect(engine.getState().gpsError).toBeNull();
+    engine.stop();
+  });
+});
+
+describe('dispose', () => {
+  it('lets go of the trip without ending it', async () => {
+    const start = Date.UTC(2026, 0, 15, 8);
+    const { engine, clock } = await startTrip({ start, target: start + 3600 * 1000 });
+    const statuses = [];
+    engine.subscribe(state => statuses.push(state.status));
+
+    engine.dispose();
+    await clock.advance(2 * 3600 * 1000);
+    expect(engine.getState().status).toBe('active');
+    expect(statuses).toEqual([]);
+    expect(engine.snapshot().legIndex).toBe(0);
+  });
+});
+
+describe('vehicle range', () => {
+  const start = Date.UTC(2026, 0, 15, 8);
+  const target = start + 3600 * 1000;
+  const vehicle = { rangeKm: 300, fullRangeKm: 300 };
+
+  it("doesn't count the jump from the origin to the first fix", async () => {
+    const { engine, clock, geolocation } = await startTrip({ start, target, vehicle, origin: { lat: 34, lon: -118 } });
+    geolocation.fix(0, 0, clock.now());
+    expect(engine.getState().rangeLeft).toBe(300);
+    engine.stop();
+  });
+
+  it('counts distance between consecutive fixes while driving', async () => {
+    const { engine, clock, geolocation } = await startTrip({ start, target, vehicle });
+    for (let i = 0; i <= 10; i++) {
+      geolocation.fix(0, i * 0.001, clock.now());
+      await clock.advance(5000);
+    }
+    // 10 steps of ~111 m
+    expect(300 - engine.getState().rangeLeft).toBeCloseTo(1.1, 1);
+    engine.stop();
+  });
+
+  it('counts motorway driving when each step is inside the fix accuracy', async () => {
+    const { engine, clock, geolocation } = await startTrip({ start, target, vehicle });
+    // 130 km/h in degrees of longitude per second, with 1 Hz fixes good to 40 m
+    const step = 130 / 3600 / 111.19;
+    for (let i = 0; i <= 600; i++) {
+      geolocation.fix(0, i * step, clock.now(), { speed: 130 / 3.6, accuracy: 40 });
+      await clock.advance(1000);
+    }
+    // 10 minutes at 130 km/h
+    expect(300 - engine.getState().rangeLeft).toBeCloseTo(21.7, 0);
+    engine.stop();
+  });
+
+  it('ignores jitter while parked, inaccurate fixes and jumps', async () => {
+    const { engine, clock, geolocation } = await startTrip({ start, target, vehicle });
+    for (let i = 0; i < 20; i++) {
+      geolocation.fix(0, (i % 2) * 0.00003, clock.now());
+      await clock.advance(5000);
+    }
+    geolocation.fix(0, 0.05, clock.now());
+    await clock.advance(1000);
+    geolocation.fix(0, 0.2, clock.now(), { accuracy: 500 });
+    expect(engine.getState().rangeLeft).toBeGreaterThan(299.9);
+    engine.stop();
+  });
+});
@@ -0,0 +1,114 @@
+import { measurePolyline } from './geo';
+
+const STORAGE_KEY = 'driveTimer_trips';
+// Oldest logs are dropped past this so breadcrumbs don't fill up localStorage
+const MAX_TRIP_LOGS = 30;
+const BREADCRUMB_INTERVAL_MS = 5000;
+// Used for imported tracks that carry no timestamps
+const ASSUMED_SPEED_KMH = 50;
+
+// A trip log looks like:
+//   { id, name, startedAt, endedAt, status, arrivalDelta (s, negative = early, null unless arrived),
+//     stops: [{ name, coords, target, arrivedAt }], plannedRoute: [[lat, lon]],
+//     breadcrumbs: [{ lat, lon, time, actualSpeed, requiredSpeed }], imported }
+// with all times as epoch ms.
+
+export const loadTripLogs = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveTripLog = (log) => {
+  const logs = [log, ...loadTripLogs().filter(l => l.id !== log.id)].slice(0, MAX_TRIP_LOGS);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(logs));
+  return logs;
+};
+
+export const removeTripLog = (id) => {
+  const logs = loadTripLogs().filter(l => l.id !== id);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(logs));
+  return logs;
+};
+
+// Builds up a log from trip engine states (pass record to engine.subscribe) and hands it
+// to onFinish when the trip ends. resumeLog continues a log from getLog() after a reload.
+export const createTripRecorder = ({ now = Date.now, onFinish, resumeLog = null }) => {
+  let log = resumeLog;
+  let lastLeg = resumeLog ? resumeLog.stops.filter(s => s.arrivedAt).length : 0;
+  let lastCrumbAt = -Infinity;
+
+  const record = (state) => {
+    const time = now();
+    if (!log) {
+      const finalStop = state.stops[state.stops.length - 1];
+      log = {
+        id: time,
+        name: finalStop.name,
+        startedAt: time,
+        endedAt: null,
+        status: 'active',
+        arrivalDelta: null,
+        stops: state.stops.map(s => ({ name: s.name, coords: s.coords, target: s.target.getTime(), arrivedAt: null })),
+        plannedRoute: [],
+        breadcrumbs: [],
+      };
+    }
+    if (log.endedAt) return;
+
+    if (log.plannedRoute.length === 0 && state.routePolyline.length > 0) {
+      log.plannedRoute = state.routePolyline;
+    }
+    for (; lastLeg < state.legIndex; lastLeg++) {
+      log.stops[lastLeg].arrivedAt = time;
+    }
+
+    if (state.status === 'active') {
+      if (time - lastCrumbAt >= BREADCRUMB_INTERVAL_MS) {
+        log.breadcrumbs.push({
+          lat: state.position.lat,
+          lon: state.position.lon,
+          time,
+          actualSpeed: state.actualSpeed,
+          requiredSpeed: state.requiredSpeed,
+        });
+        lastCrumbAt = time;
+      }
+      return;
+    }
+
+    log.endedAt = time;
+    log.status = state.status;
+    if (state.status === 'arrived') {
+      const finalStop = log.stops[log.stops.length - 1];
+      finalStop.arrivedAt = time;
+      log.arrivalDelta = (time - finalStop.target) / 1000;
+    }
+    onFinish(log);
+  };
+
+  return { record, getLog: () => log };
+};
+
+// Turns a log's track into a route the trip engine can follow, or null if it has none
+export const logToRoute = (log) => {
+  const points = log.breadcrumbs.length > 1 ? log.breadcrumbs : null;
+  const polyline = points ? points.map(p => [p.lat, p.lon]) : log.plannedRoute;
+  if (polyline.length < 2) return null;
+
+  const cumulative = measurePolyline(polyline);
+  const distance = cumulative[cumulative.length - 1];
+  const timed = points && points[0].time && points[points.length - 1].time > points[0].time;
+  const duration = timed
+    ? (points[points.length - 1].time - points[0].time) / 1000
+    : (distance / ASSUMED_SPEED_KMH) * 3600;
+
+  return {
+    distance,
+    duration,
+    legs: [{ distance, duration, segments: [] }],
+    polyline,
+  };
+};
@@ -0,0 +1,66 @@
+import { haversineKm } from './geo';
+
+// Arriving within this many seconds of the target, either side, counts as a hit
+export const ON_TARGET_WINDOW_S = 120;
+// A trip counts toward a saved destination if it ended this close to it (km)
+const SAME_PLACE_KM = 0.15;
+
+// Local hours [from, to); labelled in the UI by the history.bucket.<id> catalog keys
+export const TIME_OF_DAY_BUCKETS = [
+  { id: 'morning', from: 5, to: 10 },
+  { id: 'midday', from: 10, to: 15 },
+  { id: 'evening', from: 15, to: 20 },
+  { id: 'night', from: 20, to: 5 },
+];
+
+const bucketFor = (time) => {
+  const hour = new Date(time).getHours();
+  return TIME_OF_DAY_BUCKETS.find(b => (b.from < b.to ? hour >= b.from && hour < b.to : hour >= b.from || hour < b.to));
+};
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+export const isOnTarget = (log) => log.arrivalDelta !== null && Math.abs(log.arrivalDelta) <= ON_TARGET_WINDOW_S;
+
+export const summarizeTrip = (log) => {
+  const finalStop = log.stops[log.stops.length - 1];
+  const speeds = log.breadcrumbs.map(p => p.requiredSpeed).filter(v => v > 0);
+  return {
+    plannedArrival: finalStop.target,
+    actualArrival: finalStop.arrivedAt,
+    arrivalDelta: log.arrivalDelta,
+    averageRequiredSpeed: speeds.length ? speeds.reduce((sum, v) => sum + v, 0) / speeds.length : null,
+    driveTime: log.endedAt ? (log.endedAt - log.startedAt) / 1000 : null,
+    onTarget: isOnTarget(log),
+  };
+};
+
+// Punctuality and typical drive time (median, s) by time of day for each saved destination
+export const statsByDestination = (logs, destinations) => destinations.map(destination => {
+  const trips = logs.filter(log => {
+    const finalStop = log.stops[log.stops.length - 1];
+    return haversineKm(finalStop.coords, destination.coords) <= SAME_PLACE_KM;
+  });
+  const arrived = trips.filter(log => log.status === 'arrived' && log.endedAt);
+  // Expired trips never made it, so they count as misses
+  const attempts = trips.filter(log => log.status === 'arrived' || log.status === 'expired');
+
+  const driveTimes = TIME_OF_DAY_BUCKETS.map(bucket => {
+    const durations = arrived
+      .filter(log => bucketFor(log.startedAt) === bucket)
+      .map(log => (log.endedAt - log.startedAt) / 1000);
+    return { ...bucket, trips: durations.length, typical: median(durations) };
+  }).filter(bucket => bucket.trips > 0);
+
+  return {
+    destination,
+    trips: trips.length,
+    hitRate: attempts.length ? attempts.filter(isOnTarget).length / attempts.length : null,
+    driveTimes,
+  };
+}).filter(stats => stats.trips > 0);
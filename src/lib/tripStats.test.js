@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest';
+import { statsByDestination } from './tripStats';
+
+const OFFICE = { id: 1, name: 'Office', coords: { lat: 51.5, lon: -0.12 } };
+const start = Date.UTC(2026, 0, 12, 8);
+
+const trip = (status, arrivalDelta) => ({
+  status,
+  arrivalDelta,
+  startedAt: start,
+  endedAt: start + 30 * 60 * 1000,
+  stops: [{ name: 'Office', coords: OFFICE.coords, target: start + 30 * 60 * 1000 }],
+  breadcrumbs: [],
+});
+
+describe('statsByDestination', () => {
+  it('counts expired trips as misses', () => {
+    const [stats] = statsByDestination([trip('arrived', 30), trip('expired', null), trip('expired', null)], [OFFICE]);
+    expect(stats.hitRate).toBeCloseTo(1 / 3);
+  });
+
+  it('counts late arrivals as misses', () => {
+    const [stats] = statsByDestination([trip('arrived', -60), trip('arrived', 600)], [OFFICE]);
+    expect(stats.hitRate).toBe(0.5);
+  });
+
+  it('leaves stopped trips out of the hit rate', () => {
+    const [stats] = statsByDestination([trip('arrived', 0), trip('stopped', null)], [OFFICE]);
+    expect(stats.hitRate).toBe(1);
+    expect(stats.trips).toBe(2);
+  });
+});
@@ -0,0 +1,108 @@
+import { getPaceStatus } from './pace';
+import { toDisplayDistance } from './format';
+import { t } from './i18n';
+
+// Each cue has a level; it's announced when the chosen verbosity includes that level
+export const VERBOSITY_LEVELS = ['minimal', 'normal', 'verbose'];
+
+export const DEFAULT_VOICE_SETTINGS = { enabled: true, verbosity: 'normal', quiet: false };
+
+// Required speed has to move this much (km/h, about 5 mph) before we mention it again
+const SPEED_CHANGE_KMH = 8;
+// Distance left (km) that counts as the final stretch, per unit system
+const FINAL_STRETCH_KM = { imperial: 1.609344, metric: 1 };
+// Stay behind pace this long before warning, then repeat no more often than this (ms)
+const BEHIND_GRACE_MS = 10000;
+const BEHIND_REPEAT_MS = 60000;
+
+export const shouldAnnounce = (cue, verbosity) => VERBOSITY_LEVELS.indexOf(cue.level) <= VERBOSITY_LEVELS.indexOf(verbosity);
+
+const shortName = (stop) => stop.name.split(',')[0];
+
+// Per hour, so the distance conversion works for speeds too
+const speakSpeed = (kmh, units) => {
+  const speed = Math.round(toDisplayDistance(kmh, units));
+  return t(units === 'imperial' ? 'cue.mph' : 'cue.kmh', { speed });
+};
+
+// Watches trip engine states and returns the cues ({ type, level, text }) each new state calls for.
+// type is one of 'speed', 'milestone', 'behind' or 'arrival'.
+export const createCueDetector = ({ now = Date.now } = {}) => {
+  let leg = null;
+  let legStartDistance = 0;
+  let halfwayDone = false;
+  let finalStretchDone = false;
+  let lastSpeed = null;
+  let behindSince = null;
+  let lastBehindCue = -Infinity;
+  let finished = false;
+
+  return (state, units) => {
+    const cues = [];
+    if (finished || state.status === 'idle') return cues;
+    if (state.status !== 'active') {
+      finished = true;
+      if (state.status === 'arrived') {
+        cues.push({ type: 'arrival', level: 'minimal', text: t('cue.arrived', { name: shortName(state.stops[state.stops.length - 1]) }) });
+      }
+      return cues;
+    }
+
+    if (state.legIndex !== leg) {
+      if (leg !== null) {
+        cues.push({
+          type: 'arrival',
+          level: 'minimal',
+          text: t('cue.nextStop', { name: shortName(state.stops[leg]), next: shortName(state.stops[state.legIndex]) }),
+        });
+      }
+      leg = state.legIndex;
+      legStartDistance = 0;
+      halfwayDone = false;
+      finalStretchDone = false;
+      lastSpeed = null;
+    }
+
+    if (legStartDistance === 0 && state.distance > 0) legStartDistance = state.distance;
+    if (legStartDistance > 0) {
+      if (!halfwayDone && state.distance <= legStartDistance / 2) {
+        halfwayDone = true;
+        cues.push({ type: 'milestone', level: 'normal', text: t('cue.halfway') });
+      }
+      const finalStretch = FINAL_STRETCH_KM[units];
+      if (!finalStretchDone && legStartDistance > finalStretch && state.distance <= finalStretch) {
+        finalStretchDone = true;
+        cues.push({ type: 'milestone', level: 'normal', text: t(units === 'imperial' ? 'cue.oneMile' : 'cue.oneKilometer') });
+      }
+    }
+
+    if (state.requiredSpeed > 0 && (lastSpeed === null || Math.abs(state.requiredSpeed - lastSpeed) >= SPEED_CHANGE_KMH)) {
+      lastSpeed = state.requiredSpeed;
+      cues.push({ type: 'speed', level: 'verbose', text: t('cue.requiredSpeed', { speed: speakSpeed(state.requiredSpeed, units) }) });
+    }
+
+    if (getPaceStatus(state.actualSpeed, state.requiredSpeed) === 'behind') {
+      if (behindSince === null) behindSince = now();
+      if (now() - behindSince >= BEHIND_GRACE_MS && now() - lastBehindCue >= BEHIND_REPEAT_MS) {
+        lastBehindCue = now();
+        cues.push({ type: 'behind', level: 'minimal', text: t('cue.behind', { speed: speakSpeed(state.requiredSpeed, units) }) });
+      }
+    } else {
+      behindSince = null;
+    }
+
+    return cues;
+  };
+};
+
+// Trip engine listener that voices cues; getSettings returns the current voice settings plus units
+export const createCueListener = ({ getSettings, announce, now = Date.now }) => {
+  const detect = createCueDetector({ now });
+  return (state) => {
+    const settings = getSettings();
+    const cues = detect(state, settings.units);
+    if (!settings.enabled) return;
+    const audible = cues.filter(cue => shouldAnnounce(cue, settings.verbosity));
+    if (audible.length > 0) announce(audible, settings);
+  };
+};
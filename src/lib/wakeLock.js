@@ -0,0 +1,47 @@
+// Keeps the screen on during a trip with the Screen Wake Lock API. Browsers drop the lock
+// whenever the page is hidden, so it's requested again each time the page comes back.
+
+export const wakeLockSupported = () => typeof navigator !== 'undefined' && 'wakeLock' in navigator;
+
+// Trip engine listener that holds a wake lock from the trip's start until it ends
+export const createWakeLockHolder = ({ wakeLock = wakeLockSupported() ? navigator.wakeLock : null, doc = document } = {}) => {
+  let sentinel = null;
+  let requesting = false;
+  let active = false;
+
+  const release = () => {
+    if (sentinel) sentinel.release();
+    sentinel = null;
+  };
+
+  const request = async () => {
+    if (!wakeLock || sentinel || requesting || doc.visibilityState !== 'visible') return;
+    requesting = true;
+    try {
+      sentinel = await wakeLock.request('screen');
+      sentinel.addEventListener('release', () => { sentinel = null; });
+      // The trip may have ended while we waited
+      if (!active) release();
+    } catch {
+      // Refused, e.g. in battery saver; the screen just follows the system timeout
+      sentinel = null;
+    }
+    requesting = false;
+  };
+
+  const handleVisibility = () => {
+    if (active) request();
+  };
+
+  return (state) => {
+    if (state.status === 'active' && !active) {
+      active = true;
+      doc.addEventListener('visibilitychange', handleVisibility);
+      request();
+    } else if (state.status !== 'active' && active) {
+      active = false;
+      doc.removeEventListener('visibilitychange', handleVisibility);
+      release();
+    }
+  };
+};
@@ -1,8 +1,29 @@
+import { readFile, writeFile } from 'node:fs/promises'
+import { createHash } from 'node:crypto'
+import path from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Writes the hashed bundle names into the service worker, so a fresh install can start
+// offline, and a build id into its cache name, so each release replaces the last
+const precacheAssets = () => ({
+  name: 'precache-assets',
+  apply: 'build',
+  async writeBundle(options, bundle) {
+    const assets = Object.keys(bundle).filter(file => file.startsWith('assets/')).sort().map(file => `./${file}`)
+    const buildId = createHash('sha256').update(assets.join('\n')).digest('hex').slice(0, 8)
+    const swPath = path.join(options.dir, 'sw.js')
+    const source = await readFile(swPath, 'utf8')
+    const output = source
+      .replace("const BUILD_ID = 'dev';", `const BUILD_ID = '${buildId}';`)
+      .replace('const BUILD_ASSETS = [];', `const BUILD_ASSETS = ${JSON.stringify(assets)};`)
+    if (output === source) this.error('sw.js no longer has the BUILD_ID / BUILD_ASSETS placeholders')
+    await writeFile(swPath, output)
+  },
+})
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheAssets()],
   base: './',
 })